@@ -1,30 +1,59 @@
 import { useState, useEffect, useCallback } from 'react';
 import { HashRouter, Routes, Route } from 'react-router-dom';
-import { fetchReviewData, fetchProjects, switchProject, createProject, deleteProject } from './api';
+import { fetchReviewData, fetchReviewValidation, fetchProjects, switchProject, createProject, deleteProject, subscribeToChanges } from './api';
+import { LiveUpdatesContext } from './live';
 import ProjectSwitcher from './components/ProjectSwitcher';
+import ValidationPanel from './components/ValidationPanel';
 import FileListPage from './pages/FileListPage';
 import FileDetailPage from './pages/FileDetailPage';
 import DiffPage from './pages/DiffPage';
+import TrendsPage from './pages/TrendsPage';
+import ComparePage from './pages/ComparePage';
+import BuildsPage from './pages/BuildsPage';
+import TestsPage from './pages/TestsPage';
+import FixQueuePage from './pages/FixQueuePage';
+import IssuesPage from './pages/IssuesPage';
 import './App.css';
 
 export default function App() {
   const [data, setData] = useState(null);
+  const [validation, setValidation] = useState(null);
   const [loading, setLoading] = useState(true);
   const [projectInfo, setProjectInfo] = useState({ activeProject: null, projects: {}, sourceCodePath: '' });
+  const [liveVersions, setLiveVersions] = useState({});
 
-  const loadAll = useCallback(async () => {
-    setLoading(true);
-    const [reviewData, projData] = await Promise.all([
+  const refreshData = useCallback(async () => {
+    const [reviewData, reviewValidation, projData] = await Promise.all([
       fetchReviewData(),
+      fetchReviewValidation(),
       fetchProjects(),
     ]);
     setData(reviewData);
+    setValidation(reviewValidation);
     setProjectInfo(projData);
-    setLoading(false);
   }, []);
 
+  const loadAll = useCallback(async () => {
+    setLoading(true);
+    await refreshData();
+    setLoading(false);
+  }, [refreshData]);
+
   useEffect(() => { loadAll(); }, [loadAll]);
 
+  // Live refresh: review-level changes reload in place (no loading screen);
+  // pages watch the other topics through useLiveVersion.
+  useEffect(() => subscribeToChanges(({ topics }) => {
+    setLiveVersions((prev) => {
+      const next = { ...prev };
+      topics.forEach((t) => { next[t] = (next[t] || 0) + 1; });
+      return next;
+    });
+    if (topics.some((t) => t === 'review' || t === 'suppressions' || t === 'project')) {
+      refreshData();
+    }
+  }), [refreshData]);
+
   async function handleSwitchProject(name) {
     await switchProject(name);
     await loadAll();
@@ -78,14 +107,18 @@ export default function App() {
           </div>
         </div>
         <div className="container">
-          <div className="empty-state">
-            <h2>No Review Data</h2>
-            <p>
-              No <code>code-review-result.json</code> found. Run the{' '}
-              <strong>xpp-code-reviewer</strong> agent to generate review data,
-              then refresh this page.
-            </p>
-          </div>
+          {validation ? (
+            <ValidationPanel validation={validation} blocking />
+          ) : (
+            <div className="empty-state">
+              <h2>No Review Data</h2>
+              <p>
+                No <code>code-review-result.json</code> found. Run the{' '}
+                <strong>xpp-code-reviewer</strong> agent to generate review data —
+                this page updates automatically when it is written.
+              </p>
+            </div>
+          )}
         </div>
         <Footer />
       </>
@@ -93,14 +126,22 @@ export default function App() {
   }
 
   return (
-    <HashRouter>
-      <Routes>
-        <Route path="/" element={<FileListPage data={data} projectProps={projectProps} />} />
-        <Route path="/file/:fileName" element={<FileDetailPage data={data} projectProps={projectProps} />} />
-        <Route path="/changes" element={<DiffPage data={data} projectProps={projectProps} />} />
-      </Routes>
-      <Footer date={data.date} />
-    </HashRouter>
+    <LiveUpdatesContext.Provider value={liveVersions}>
+      <HashRouter>
+        <Routes>
+          <Route path="/" element={<FileListPage data={data} validation={validation} projectProps={projectProps} />} />
+          <Route path="/issues" element={<IssuesPage data={data} projectProps={projectProps} />} />
+          <Route path="/file/:fileName" element={<FileDetailPage data={data} projectProps={projectProps} />} />
+          <Route path="/changes" element={<DiffPage data={data} projectProps={projectProps} />} />
+          <Route path="/trends" element={<TrendsPage data={data} projectProps={projectProps} />} />
+          <Route path="/compare" element={<ComparePage data={data} projectProps={projectProps} />} />
+          <Route path="/builds" element={<BuildsPage data={data} projectProps={projectProps} />} />
+          <Route path="/tests" element={<TestsPage data={data} projectProps={projectProps} />} />
+          <Route path="/fixes" element={<FixQueuePage data={data} projectProps={projectProps} />} />
+        </Routes>
+        <Footer date={data.date} />
+      </HashRouter>
+    </LiveUpdatesContext.Provider>
   );
 }
 
@@ -41,39 +41,92 @@ export async function deleteProject(name) {
 
 // ── Review data APIs ─────────────────────────────────────────────────
 
+// One page of issues matching the issues-page query params, plus aggregate counts:
+// { total, offset, limit, issues: [{ file, fixState, ...issue }], counts: { severity, category, file, state }, reviewTotal }
+export async function fetchIssues(params, offset = 0, limit = 50) {
+  const query = new URLSearchParams({ ...params, offset, limit });
+  const resp = await fetch(`${API_BASE}/api/issues?${query}`);
+  const body = await resp.json();
+  if (!resp.ok) throw new Error(body.error || 'Failed to load issues');
+  return body;
+}
+
+// The review with fingerprints and suppressions; the server already converts legacy single-file reviews
 export async function fetchReviewData() {
   const resp = await fetch(`${API_BASE}/api/review`);
   if (!resp.ok) return null;
-  const raw = await resp.json();
+  return resp.json();
+}
 
-  // Normalize: support both legacy single-file and new multi-file format
-  if (raw.files && Array.isArray(raw.files)) {
-    return raw;
-  }
+// Schema check of code-review-result.json: { valid, errors: [{ path, message, file?, issue? }] }
+export async function fetchReviewValidation() {
+  const resp = await fetch(`${API_BASE}/api/review/validate`);
+  if (!resp.ok) return null;
+  return resp.json();
+}
+
+// Download URL for the current review in another format (currently only 'sarif')
+export function reviewExportUrl(format = 'sarif') {
+  return `${API_BASE}/api/review/export?format=${encodeURIComponent(format)}`;
+}
+
+// `refs` = { base, head } to diff other refs than the review's parentBranch..branch
+function refsQuery(refs) {
+  const query = new URLSearchParams();
+  if (refs?.base) query.set('base', refs.base);
+  if (refs?.head) query.set('head', refs.head);
+  return query;
+}
+
+export async function fetchDiff(refs) {
+  const resp = await fetch(`${API_BASE}/api/diff?${refsQuery(refs)}`);
+  if (!resp.ok) return null;
+  return resp.json();
+}
+
+// { files: { "<path>": { methods: [{ name, status, diff, addCount, removeCount }], unchanged, otherChanges } } }
+export async function fetchDiffMethods(refs) {
+  const resp = await fetch(`${API_BASE}/api/diff/methods?${refsQuery(refs)}`);
+  if (!resp.ok) return null;
+  return resp.json();
+}
+
+// Lines start..end (1-based, inclusive) of a file in the diff at the base or head ref:
+// { path, side, start, end, totalLines, lines }
+export async function fetchDiffFileLines(filePath, side, start, end, refs) {
+  const query = refsQuery(refs);
+  for (const [key, value] of Object.entries({ path: filePath, side, start, end })) query.set(key, value);
+  const resp = await fetch(`${API_BASE}/api/diff/file?${query}`);
+  const body = await resp.json();
+  if (!resp.ok) throw new Error(body.error || 'Failed to load file content');
+  return body;
+}
 
-  // Legacy single-file → wrap into multi-file
-  return {
-    date: raw.date,
-    summary: raw.summary,
-    mode: 'full',
-    files: [
-      {
-        file: raw.file,
-        summary: raw.summary,
-        issues: raw.issues || [],
-        strengths: raw.strengths || [],
-        recommendations: raw.recommendations || [],
-      },
-    ],
-  };
-}
-
-export async function fetchDiff() {
-  const resp = await fetch(`${API_BASE}/api/diff`);
+// Commits in base..head, newest first: { base, head, commits: [{ sha, shortSha, author, date, subject }] }
+export async function fetchCommits(refs) {
+  const resp = await fetch(`${API_BASE}/api/commits?${refsQuery(refs)}`);
   if (!resp.ok) return null;
   return resp.json();
 }
 
+// Who last changed each issue's code, for one review file or all of them:
+// { files: { <file>: { path } | { error } }, issues: { <fingerprint>: { author, email, commit, shortCommit, date, summary, line, endLine, matchedBy, uncommitted } | { error } } }
+export async function fetchBlame(file) {
+  const query = file ? `?${new URLSearchParams({ file })}` : '';
+  const resp = await fetch(`${API_BASE}/api/blame${query}`);
+  if (!resp.ok) return null;
+  return resp.json();
+}
+
+// X++ source of a review file's object XML, split into methods, with issue snippets located:
+// { file, path, type, methods: [{ name, startLine, lines }], issues: { <fingerprint>: { method, line, endLine } | { error } } }
+export async function fetchSource(file) {
+  const resp = await fetch(`${API_BASE}/api/source?${new URLSearchParams({ file })}`);
+  const body = await resp.json();
+  if (!resp.ok) throw new Error(body.error || 'Failed to load source');
+  return body;
+}
+
 export async function fetchAcceptedFixes() {
   const resp = await fetch(`${API_BASE}/api/accepted-fixes`);
   if (!resp.ok) return { fixes: [] };
@@ -90,8 +143,137 @@ export async function acceptFix(fix) {
   return resp.json();
 }
 
+// Accept every fix matching { files?, severities?, categories? } in one request.
+// With dryRun nothing is saved; the response summarises what would be queued.
+export async function batchAcceptFixes(criteria, dryRun = false) {
+  const resp = await fetch(`${API_BASE}/api/accept-fix/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...criteria, dryRun }),
+  });
+  const body = await resp.json();
+  if (!resp.ok) throw new Error(body.error || 'Failed to accept fixes');
+  return body;
+}
+
+// Dry run: { results: [{ fingerprint, status: 'ready'|'skipped', reason?, path? }], diff }
+export async function previewFixes(fingerprints) {
+  return postFixes('preview', fingerprints);
+}
+
+// Writes the fixes to source and marks them applied: { results, diff, marked }
+export async function applyFixes(fingerprints) {
+  return postFixes('apply', fingerprints);
+}
+
+async function postFixes(action, fingerprints) {
+  const resp = await fetch(`${API_BASE}/api/accepted-fixes/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fingerprints }),
+  });
+  const body = await resp.json();
+  if (!resp.ok) throw new Error(body.error || `Failed to ${action} fixes`);
+  return body;
+}
+
+export async function suppressIssue(suppression) {
+  const resp = await fetch(`${API_BASE}/api/suppressions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(suppression),
+  });
+  if (!resp.ok) throw new Error('Failed to dismiss issue');
+  return resp.json();
+}
+
+export async function unsuppressIssue(fingerprint) {
+  const resp = await fetch(`${API_BASE}/api/suppressions/${encodeURIComponent(fingerprint)}`, {
+    method: 'DELETE',
+  });
+  if (!resp.ok) throw new Error('Failed to restore issue');
+  return resp.json();
+}
+
+// Withdraw a fix that has not been applied yet (409 once it is applied)
+export async function unacceptFix(fingerprint) {
+  const resp = await fetch(`${API_BASE}/api/accepted-fixes/${encodeURIComponent(fingerprint)}/unaccept`, {
+    method: 'POST',
+  });
+  const body = await resp.json();
+  if (!resp.ok) throw new Error(body.error || 'Failed to un-accept fix');
+  return body;
+}
+
+export async function deleteAcceptedFix(fingerprint) {
+  const resp = await fetch(`${API_BASE}/api/accepted-fixes/${encodeURIComponent(fingerprint)}`, {
+    method: 'DELETE',
+  });
+  if (!resp.ok) throw new Error('Failed to delete fix');
+  return resp.json();
+}
+
+export async function reorderAcceptedFixes(fingerprints) {
+  const resp = await fetch(`${API_BASE}/api/accepted-fixes/order`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fingerprints }),
+  });
+  if (!resp.ok) throw new Error('Failed to save order');
+  return resp.json();
+}
+
+export async function removeAppliedFixes() {
+  const resp = await fetch(`${API_BASE}/api/accepted-fixes/applied`, { method: 'DELETE' });
+  if (!resp.ok) throw new Error('Failed to remove applied fixes');
+  return resp.json();
+}
+
 export async function clearAcceptedFixes() {
   const resp = await fetch(`${API_BASE}/api/accepted-fixes`, { method: 'DELETE' });
   if (!resp.ok) throw new Error('Failed to clear');
   return resp.json();
 }
+
+// ── Review history APIs ──────────────────────────────────────────────
+
+export async function fetchReviewHistory() {
+  const resp = await fetch(`${API_BASE}/api/reviews`);
+  if (!resp.ok) return { reviews: [] };
+  return resp.json();
+}
+
+export async function fetchReviewComparison(base, head) {
+  const params = new URLSearchParams();
+  if (base) params.set('base', base);
+  if (head) params.set('head', head);
+  const resp = await fetch(`${API_BASE}/api/reviews/compare?${params}`);
+  if (!resp.ok) return null;
+  return resp.json();
+}
+
+// ── Build & test APIs ────────────────────────────────────────────────
+
+export async function fetchBuilds() {
+  const resp = await fetch(`${API_BASE}/api/builds`);
+  if (!resp.ok) return { models: [], totals: { errors: 0, warnings: 0, bpErrors: 0, bpWarnings: 0 } };
+  return resp.json();
+}
+
+export async function fetchTestResults() {
+  const resp = await fetch(`${API_BASE}/api/tests`);
+  if (resp.status === 404) return null;
+  const body = await resp.json();
+  if (!resp.ok) throw new Error(body.error || 'Failed to load test results');
+  return body;
+}
+
+// ── Live updates ─────────────────────────────────────────────────────
+
+// Calls onChange({ topics, project }) whenever project data changes on the server.
+// EventSource reconnects on its own; the returned function closes the stream.
+export function subscribeToChanges(onChange) {
+  const source = new EventSource(`${API_BASE}/api/events`);
+  source.addEventListener('change', (e) => onChange(JSON.parse(e.data)));
+  return () => source.close();
+}
@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import { batchAcceptFixes } from '../api';
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+function fixCount(n) {
+  return `${n} fix${n !== 1 ? 'es' : ''}`;
+}
+
+// Accept every fix matching a severity/category selection, after confirming a dry-run summary.
+// `files` limits the selection to those files (e.g. the file being viewed).
+export default function BulkAccept({ files, categories, initialSeverities = [], onAccepted }) {
+  const [open, setOpen] = useState(false);
+  const [severities, setSeverities] = useState(initialSeverities);
+  const [category, setCategory] = useState('');
+  const [summary, setSummary] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const criteria = {
+    ...(files ? { files } : {}),
+    ...(severities.length ? { severities } : {}),
+    ...(category ? { categories: [category] } : {}),
+  };
+
+  // Start from the page's current presets each time, not the ones of the first render
+  const openDialog = () => {
+    setSeverities(initialSeverities);
+    setCategory('');
+    setSummary(null);
+    setOpen(true);
+  };
+
+  const toggleSeverity = (sev) => {
+    setSummary(null);
+    setSeverities((prev) => (prev.includes(sev) ? prev.filter((s) => s !== sev) : [...prev, sev]));
+  };
+
+  const run = async (dryRun) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      const result = await batchAcceptFixes(criteria, dryRun);
+      if (dryRun) {
+        setSummary(result);
+      } else {
+        setSummary(null);
+        setMessage(`Queued ${fixCount(result.added)} in accepted-fixes.json`);
+        onAccepted?.(result.fixes);
+      }
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <div className="bulk-accept-toggle">
+        <button className="filter-btn" onClick={openDialog}>
+          ✓ Bulk accept{files?.length === 1 ? ' in this file' : ''}...
+        </button>
+        {message && <span className="accept-status">{message}</span>}
+      </div>
+    );
+  }
+
+  const bySeverity = summary
+    ? SEVERITIES.map((sev) => [sev, summary.fixes.filter((f) => f.severity === sev).length]).filter(([, n]) => n > 0)
+    : [];
+  const fileCount = summary ? new Set(summary.fixes.map((f) => f.file)).size : 0;
+  const skipped = summary
+    ? [
+        summary.alreadyAccepted > 0 && `${summary.alreadyAccepted} already accepted`,
+        summary.suppressed > 0 && `${summary.suppressed} dismissed`,
+        summary.withoutFix > 0 && `${summary.withoutFix} without a suggested fix`,
+      ].filter(Boolean)
+    : [];
+
+  return (
+    <div className="bulk-accept">
+      <div className="bulk-accept-controls">
+        <span className="bulk-accept-label">Accept all</span>
+        {SEVERITIES.map((sev) => (
+          <button
+            key={sev}
+            className={`filter-btn${severities.includes(sev) ? ' active' : ''}`}
+            onClick={() => toggleSeverity(sev)}
+          >
+            {sev}
+          </button>
+        ))}
+        <select
+          value={category}
+          onChange={(e) => {
+            setSummary(null);
+            setCategory(e.target.value);
+          }}
+        >
+          <option value="">any category</option>
+          {categories.map((c) => (
+            <option key={c} value={c}>{c}</option>
+          ))}
+        </select>
+        <span className="bulk-accept-label">
+          fixes {files?.length === 1 ? 'in this file' : 'in the review'}
+        </span>
+        <button className="accept-btn" disabled={busy} onClick={() => run(true)}>
+          {busy && !summary ? 'Checking...' : 'Review selection'}
+        </button>
+        <button
+          className="dismiss-cancel"
+          onClick={() => {
+            setOpen(false);
+            setSummary(null);
+          }}
+        >
+          Cancel
+        </button>
+      </div>
+
+      {summary && (
+        <div className="bulk-accept-summary">
+          {summary.added === 0 ? (
+            <p>Nothing new to queue — {summary.matched === 0 ? 'no issues match this selection' : skipped.join(', ')}.</p>
+          ) : (
+            <>
+              <p>
+                <strong>{fixCount(summary.added)}</strong> will be added to accepted-fixes.json
+                {fileCount > 1 && <> across {fileCount} files</>}:{' '}
+                {bySeverity.map(([sev, n]) => `${n} ${sev}`).join(', ')}.
+                {skipped.length > 0 && <> Skipped: {skipped.join(', ')}.</>}
+              </p>
+              <ul>
+                {summary.fixes.slice(0, 10).map((f) => (
+                  <li key={f.fingerprint}>
+                    <span className={`severity-badge ${f.severity}`}>{f.severity}</span> {f.title}
+                    {!files && <span className="bulk-accept-file"> — {f.file}</span>}
+                  </li>
+                ))}
+                {summary.fixes.length > 10 && <li>…and {summary.fixes.length - 10} more</li>}
+              </ul>
+              <div className="accept-bar">
+                <button className="accept-btn" disabled={busy} onClick={() => run(false)}>
+                  {busy ? 'Saving...' : `✓ Accept ${fixCount(summary.added)}`}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+      {message && <div className="accept-status">{message}</div>}
+    </div>
+  );
+}
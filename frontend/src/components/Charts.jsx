@@ -47,26 +47,21 @@ export function SeverityChart({ counts }) {
   );
 }
 
-export function CategoryChart({ issues }) {
+// `counts` maps category → number of issues (the `counts.category` of /api/issues)
+export function CategoryChart({ counts }) {
   const canvasRef = useRef(null);
   const chartRef = useRef(null);
 
   useEffect(() => {
-    const cats = {};
-    issues.forEach((i) => {
-      const c = i.category || 'Other';
-      cats[c] = (cats[c] || 0) + 1;
-    });
-
     if (chartRef.current) chartRef.current.destroy();
     chartRef.current = new Chart(canvasRef.current.getContext('2d'), {
       type: 'bar',
       data: {
-        labels: Object.keys(cats),
+        labels: Object.keys(counts),
         datasets: [
           {
             label: 'Issues',
-            data: Object.values(cats),
+            data: Object.values(counts),
             backgroundColor: '#6366f1',
             borderRadius: 6,
             borderSkipped: false,
@@ -92,7 +87,7 @@ export function CategoryChart({ issues }) {
       },
     });
     return () => chartRef.current?.destroy();
-  }, [issues]);
+  }, [counts]);
 
   return (
     <div className="chart-card">
@@ -103,3 +98,111 @@ export function CategoryChart({ issues }) {
     </div>
   );
 }
+
+const CATEGORY_COLORS = ['#6366f1', '#0891b2', '#16a34a', '#db2777', '#9333ea', '#f59e0b', '#64748b'];
+
+function trendLabels(reviews) {
+  return reviews.map((r) => new Date(r.date).toLocaleDateString(undefined, {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+  }));
+}
+
+const TREND_OPTIONS = {
+  responsive: true,
+  maintainAspectRatio: true,
+  interaction: { mode: 'index', intersect: false },
+  plugins: {
+    legend: {
+      position: 'bottom',
+      labels: { padding: 16, usePointStyle: true, font: { size: 12 } },
+    },
+  },
+  scales: {
+    y: {
+      beginAtZero: true,
+      ticks: { precision: 0, font: { size: 12 } },
+      grid: { color: '#f1f5f9' },
+    },
+    x: {
+      ticks: { font: { size: 11 } },
+      grid: { display: false },
+    },
+  },
+};
+
+export function SeverityTrendChart({ reviews }) {
+  const canvasRef = useRef(null);
+  const chartRef = useRef(null);
+
+  useEffect(() => {
+    const series = [
+      { key: 'critical', label: 'Critical', color: '#dc2626' },
+      { key: 'high', label: 'High', color: '#ea580c' },
+      { key: 'medium', label: 'Medium', color: '#ca8a04' },
+      { key: 'low', label: 'Low', color: '#2563eb' },
+    ];
+
+    if (chartRef.current) chartRef.current.destroy();
+    chartRef.current = new Chart(canvasRef.current.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: trendLabels(reviews),
+        datasets: series.map((s) => ({
+          label: s.label,
+          data: reviews.map((r) => r.severity?.[s.key] ?? 0),
+          borderColor: s.color,
+          backgroundColor: s.color,
+          tension: 0.25,
+          pointRadius: 3,
+        })),
+      },
+      options: TREND_OPTIONS,
+    });
+    return () => chartRef.current?.destroy();
+  }, [reviews]);
+
+  return (
+    <div className="chart-card">
+      <h3>Severity Over Time</h3>
+      <div className="chart-container">
+        <canvas ref={canvasRef} />
+      </div>
+    </div>
+  );
+}
+
+export function CategoryTrendChart({ reviews }) {
+  const canvasRef = useRef(null);
+  const chartRef = useRef(null);
+
+  useEffect(() => {
+    const cats = [...new Set(reviews.flatMap((r) => Object.keys(r.category || {})))];
+
+    if (chartRef.current) chartRef.current.destroy();
+    chartRef.current = new Chart(canvasRef.current.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: trendLabels(reviews),
+        datasets: cats.map((c, i) => ({
+          label: c,
+          data: reviews.map((r) => r.category?.[c] ?? 0),
+          borderColor: CATEGORY_COLORS[i % CATEGORY_COLORS.length],
+          backgroundColor: CATEGORY_COLORS[i % CATEGORY_COLORS.length],
+          tension: 0.25,
+          pointRadius: 3,
+        })),
+      },
+      options: TREND_OPTIONS,
+    });
+    return () => chartRef.current?.destroy();
+  }, [reviews]);
+
+  return (
+    <div className="chart-card">
+      <h3>Categories Over Time</h3>
+      <div className="chart-container">
+        <canvas ref={canvasRef} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import { Fragment, useMemo } from 'react';
+import { pairChangedLines, splitRows, wordDiff } from '../diff';
+
+const MARKERS = { add: '+', remove: '-', info: '\\', context: ' ' };
+
+function LineContent({ segments, content, type }) {
+  if (!segments) return <pre>{content}</pre>;
+  return (
+    <pre>
+      {segments.map((s, i) =>
+        s.changed ? (
+          <span key={i} className={`diff-word-${type}`}>{s.text}</span>
+        ) : (
+          <Fragment key={i}>{s.text}</Fragment>
+        )
+      )}
+    </pre>
+  );
+}
+
+// One hunk of a parsed unified diff (see parseDiff in ../diff.js), as a unified
+// table or side by side (`split`). Replaced lines get word-level highlights.
+// `renderAfterLine(lineIndex)` may return content shown in a full-width row under that line.
+// `onExpandUp` / `onExpandDown`, when given, add buttons to the header that load more context.
+export default function DiffHunk({ hunk, split = false, renderAfterLine, onExpandUp, onExpandDown }) {
+  // Word segments of each removed/added line that has a counterpart, by line index
+  const words = useMemo(() => {
+    const result = new Map();
+    for (const [li, partner] of pairChangedLines(hunk)) {
+      if (hunk.lines[li].type !== 'remove') continue;
+      const diff = wordDiff(hunk.lines[li].content, hunk.lines[partner].content);
+      if (diff) {
+        result.set(li, diff[0]);
+        result.set(partner, diff[1]);
+      }
+    }
+    return result;
+  }, [hunk]);
+
+  const annotationRow = (li, colSpan) => {
+    const after = li === null ? null : renderAfterLine?.(li);
+    return (
+      after && (
+        <tr className="diff-annotation-row">
+          <td colSpan={colSpan}>{after}</td>
+        </tr>
+      )
+    );
+  };
+
+  const header = (
+    <div className="diff-hunk-header">
+      {onExpandUp && (
+        <button className="diff-expand-btn" onClick={onExpandUp} title="Show more lines above">↑</button>
+      )}
+      {onExpandDown && (
+        <button className="diff-expand-btn" onClick={onExpandDown} title="Show more lines below">↓</button>
+      )}
+      <span>{hunk.header}</span>
+    </div>
+  );
+
+  if (split) {
+    const side = (li, which) => {
+      if (li === null) {
+        return (
+          <>
+            <td className="diff-line-num diff-split-empty" />
+            <td className={`diff-line-content diff-split-empty diff-split-${which}`} />
+          </>
+        );
+      }
+      const line = hunk.lines[li];
+      const num = which === 'old' ? line.oldLine : line.newLine;
+      return (
+        <>
+          <td className={`diff-line-num diff-line-${line.type}`}>{line.type === 'info' ? '' : num}</td>
+          <td className={`diff-line-content diff-line-${line.type} diff-split-${which}`}>
+            <LineContent segments={words.get(li)} content={line.content} type={line.type} />
+          </td>
+        </>
+      );
+    };
+    return (
+      <div className="diff-hunk">
+        {header}
+        <table className="diff-table diff-table-split">
+          <tbody>
+            {splitRows(hunk).map((row, ri) => (
+              <Fragment key={ri}>
+                <tr className="diff-line">
+                  {side(row.left, 'old')}
+                  {side(row.right, 'new')}
+                </tr>
+                {/* Issues are anchored on new-side lines; removed lines only carry their own */}
+                {annotationRow(row.right ?? row.left, 4)}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  return (
+    <div className="diff-hunk">
+      {header}
+      <table className="diff-table">
+        <tbody>
+          {hunk.lines.map((line, li) => (
+            <Fragment key={li}>
+              <tr className={`diff-line diff-line-${line.type}`}>
+                <td className="diff-line-num diff-line-num-old">
+                  {line.type === 'remove' || line.type === 'context' ? line.oldLine : ''}
+                </td>
+                <td className="diff-line-num diff-line-num-new">
+                  {line.type === 'add' || line.type === 'context' ? line.newLine : ''}
+                </td>
+                <td className="diff-line-marker">{MARKERS[line.type]}</td>
+                <td className="diff-line-content">
+                  <LineContent segments={words.get(li)} content={line.content} type={line.type} />
+                </td>
+              </tr>
+              {annotationRow(li, 4)}
+            </Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { acceptFix } from '../api';
+import { fixFromIssue } from '../utils';
+
+// A review issue shown inline under the diff line it refers to
+export default function DiffIssueAnnotation({ issue, fileName, acceptedState, onAccepted }) {
+  const [expanded, setExpanded] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleAccept = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const result = await acceptFix(fixFromIssue(fileName, issue));
+      onAccepted?.(result.fix);
+    } catch {
+      setError('Error saving — try again');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={`diff-annotation ${issue.severity}`}>
+      <div className="diff-annotation-header">
+        <span className={`severity-badge ${issue.severity}`}>{issue.severity}</span>
+        <span className="diff-annotation-title">{issue.title}</span>
+        <span className="diff-annotation-meta">
+          {[issue.location, issue.category].filter(Boolean).join(' · ')}
+        </span>
+        <Link
+          to={`/file/${encodeURIComponent(fileName)}?issue=${encodeURIComponent(issue.fingerprint)}`}
+          className="diff-annotation-link"
+        >
+          Open in review →
+        </Link>
+      </div>
+      {issue.description && <p className="diff-annotation-desc">{issue.description}</p>}
+      {issue.fixCode && (
+        <>
+          <button className="diff-annotation-toggle" onClick={() => setExpanded(!expanded)}>
+            {expanded ? '▾ Hide suggested fix' : '▸ Show suggested fix'}
+          </button>
+          {expanded && <pre className="diff-annotation-fix">{issue.fixCode}</pre>}
+          <div className="accept-bar">
+            {acceptedState ? (
+              <span className="accept-status">
+                {acceptedState === 'applied' ? '✅ Applied to source' : '✓ Fix accepted'}
+              </span>
+            ) : (
+              <button className="accept-btn" disabled={saving} onClick={handleAccept}>
+                {saving ? 'Saving...' : '✓ Accept Fix'}
+              </button>
+            )}
+            {error && <span className="accept-status">{error}</span>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import { useState, useEffect } from 'react';
+import DiffHunk from './DiffHunk';
+import { previewFixes, applyFixes } from '../api';
+import { parseDiff } from '../diff';
+
+// Dry-run diff of applying accepted fixes to source, with a button to write them
+export default function FixPreview({ fingerprints, onApplied, onClose }) {
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const [applying, setApplying] = useState(false);
+
+  useEffect(() => {
+    previewFixes(fingerprints)
+      .then(setPreview)
+      .catch((err) => setError(err.message));
+  }, [fingerprints.join(',')]);
+
+  const handleApply = async () => {
+    setApplying(true);
+    setError('');
+    try {
+      const result = await applyFixes(fingerprints);
+      setPreview(result);
+      onApplied?.(result.results.filter((r) => r.status === 'applied').map((r) => r.fingerprint));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const files = preview ? parseDiff(preview.diff.replace(/\n$/, '')) : [];
+  const ready = preview ? preview.results.filter((r) => r.status === 'ready').length : 0;
+  const skipped = preview ? preview.results.filter((r) => r.status === 'skipped') : [];
+  const applied = preview ? preview.results.filter((r) => r.status === 'applied').length : 0;
+
+  return (
+    <div className="fix-preview">
+      <div className="fix-preview-header">
+        <span className="fix-preview-title">
+          {applied > 0 ? `✅ Applied ${applied} fix${applied !== 1 ? 'es' : ''} to source` : 'Preview of source changes'}
+        </span>
+        {onClose && <button className="dismiss-cancel" onClick={onClose}>Close</button>}
+      </div>
+
+      {error && <div className="build-parse-error">{error}</div>}
+      {!preview && !error && <div className="diff-empty-hunk">Computing changes...</div>}
+
+      {skipped.length > 0 && (
+        <ul className="fix-preview-skipped">
+          {skipped.map((r) => (
+            <li key={r.fingerprint}>
+              ⚠️ <strong>{r.title || r.fingerprint}</strong> skipped — {r.reason}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {files.map((f) => (
+        <div key={f.displayName} className="fix-preview-file">
+          <div className="fix-preview-path">{f.displayName}</div>
+          {f.hunks.map((hunk, hi) => <DiffHunk key={hi} hunk={hunk} />)}
+        </div>
+      ))}
+
+      {ready > 0 && (
+        <div className="accept-bar">
+          <button className="accept-btn" disabled={applying} onClick={handleApply}>
+            {applying ? 'Applying...' : `Apply ${ready} fix${ready !== 1 ? 'es' : ''} to source`}
+          </button>
+          <span className="accept-status">Writes the files and marks the fixes applied</span>
+        </div>
+      )}
+    </div>
+  );
+}
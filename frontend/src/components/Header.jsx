@@ -1,4 +1,5 @@
 import ProjectSwitcher from './ProjectSwitcher';
+import { reviewExportUrl } from '../api';
 
 export default function Header({ fileLabel, date, totalIssues, branchInfo, projectProps }) {
   return (
@@ -8,7 +9,17 @@ export default function Header({ fileLabel, date, totalIssues, branchInfo, proje
           <h1>X++ Code Review Dashboard</h1>
           <p className="subtitle">Automated review powered by xpp-code-reviewer agent</p>
         </div>
-        {projectProps && <ProjectSwitcher {...projectProps} />}
+        <div className="header-actions">
+          <a
+            className="header-action-btn"
+            href={reviewExportUrl('sarif')}
+            download
+            title="Download the review as SARIF 2.1.0 for IDE viewers and code scanning"
+          >
+            ⬇ SARIF
+          </a>
+          {projectProps && <ProjectSwitcher {...projectProps} />}
+        </div>
       </div>
       <div className="review-meta">
         <span>
@@ -1,7 +1,54 @@
 import { useState, useEffect } from 'react';
-import { acceptFix } from '../api';
+import { acceptFix, unacceptFix, suppressIssue, unsuppressIssue } from '../api';
+import FixPreview from './FixPreview';
+import { fixFromIssue } from '../utils';
 
-export default function IssueCard({ issue, fileName, isAccepted, appliedStatus, onAccepted }) {
+const DISMISS_KINDS = {
+  'false-positive': 'False positive',
+  'wont-fix': "Won't fix",
+};
+
+// Who last changed the issue's code, from GET /api/blame
+function BlameLine({ blame }) {
+  const where = blame.line === blame.endLine ? `line ${blame.line}` : `lines ${blame.line}–${blame.endLine}`;
+  return (
+    <div
+      className="issue-blame"
+      title={`${blame.commit}\n${blame.email || ''}\n${where} of the object XML${blame.matchedBy === 'line' ? ' (from the location, the code was not found)' : ''}`}
+    >
+      {blame.uncommitted ? (
+        <>✎ Uncommitted change in the working tree</>
+      ) : (
+        <>
+          👤 <strong>{blame.author}</strong>
+          <code className="issue-blame-commit">{blame.shortCommit}</code>
+          {new Date(blame.date).toLocaleDateString()} · <span className="issue-blame-summary">{blame.summary}</span>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function IssueCard({
+  issue,
+  fileName,
+  isAccepted,
+  acceptedFix,
+  appliedStatus,
+  highlighted,
+  blame,
+  onAccepted,
+  onUnaccepted,
+  onSuppressionChange,
+}) {
+  const [showDismiss, setShowDismiss] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  const [applied, setApplied] = useState(appliedStatus === 'applied');
+  // The accepted-fixes.json entry, which may carry a hand-edited fixCode
+  const [savedFix, setSavedFix] = useState(acceptedFix || null);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [showOriginal, setShowOriginal] = useState(false);
   const [status, setStatus] = useState(isAccepted ? 'accepted' : 'idle');
   const [statusText, setStatusText] = useState(
     isAccepted ? 'Saved to accepted-fixes.json' : ''
@@ -13,69 +60,205 @@ export default function IssueCard({ issue, fileName, isAccepted, appliedStatus,
       setStatus('accepted');
       setStatusText(appliedStatus === 'applied' ? '✅ Applied to source' : 'Saved to accepted-fixes.json');
     }
+    if (appliedStatus === 'applied') setApplied(true);
   }, [isAccepted, appliedStatus]);
 
-  const handleAccept = async () => {
+  useEffect(() => {
+    if (acceptedFix) setSavedFix(acceptedFix);
+  }, [acceptedFix]);
+
+  const fixCode = savedFix?.fixCode ?? issue.fixCode;
+  const edited = Boolean(savedFix?.edited);
+
+  const handleAccept = async (code = fixCode) => {
     setStatus('saving');
     setStatusText('');
     try {
-      await acceptFix({
-        file: fileName,
-        title: issue.title,
-        severity: issue.severity,
-        location: issue.location,
-        category: issue.category,
-        code: issue.code,
-        fixCode: issue.fixCode,
-        fixDescription: issue.fixDescription,
-      });
+      const result = await acceptFix(fixFromIssue(fileName, issue, code));
+      setSavedFix(result.fix);
+      setEditing(false);
       setStatus('accepted');
-      setStatusText('Saved to accepted-fixes.json');
-      onAccepted?.(issue);
+      setStatusText(result.fix.edited ? 'Saved edited fix to accepted-fixes.json' : 'Saved to accepted-fixes.json');
+      onAccepted?.(issue, result.fix);
     } catch {
       setStatus('idle');
       setStatusText('Error saving — try again');
     }
   };
 
+  const handleUnaccept = async () => {
+    try {
+      await unacceptFix(issue.fingerprint);
+      setSavedFix(null);
+      setShowPreview(false);
+      setStatus('idle');
+      setStatusText('Removed from accepted-fixes.json');
+      onUnaccepted?.(issue);
+    } catch (err) {
+      setStatusText(err.message);
+    }
+  };
+
+  const handleRestore = async () => {
+    try {
+      await unsuppressIssue(issue.fingerprint);
+      onSuppressionChange?.(issue, null);
+    } catch {
+      setStatusText('Error restoring — try again');
+    }
+  };
+
+  const suppressed = issue.suppressed;
+
   return (
-    <div className={`issue-card ${issue.severity}`}>
+    <div
+      id={`issue-${issue.fingerprint}`}
+      className={`issue-card ${issue.severity}${suppressed ? ' suppressed' : ''}${highlighted ? ' highlighted' : ''}`}
+    >
       <div className="issue-header">
         <span className={`severity-badge ${issue.severity}`}>
           {issue.severity}
         </span>
         <span className="issue-title">{issue.title}</span>
+        {issue.source && (
+          <span className="source-badge" title={issue.rule ? `Rule ${issue.rule}` : undefined}>
+            {issue.source}
+          </span>
+        )}
+        {suppressed ? (
+          <button className="dismiss-btn" onClick={handleRestore}>↺ Restore</button>
+        ) : (
+          <button className="dismiss-btn" onClick={() => setShowDismiss(!showDismiss)}>
+            ✕ Dismiss
+          </button>
+        )}
       </div>
 
+      {suppressed && (
+        <div className="suppressed-note">
+          Dismissed as <strong>{DISMISS_KINDS[suppressed.kind] || suppressed.kind}</strong>
+          {suppressed.reason && <> — {suppressed.reason}</>}
+          {suppressed.expiresAt && (
+            <> (until {new Date(suppressed.expiresAt).toLocaleDateString()})</>
+          )}
+        </div>
+      )}
+
+      {showDismiss && !suppressed && (
+        <DismissForm
+          issue={issue}
+          fileName={fileName}
+          onDone={(suppression) => {
+            setShowDismiss(false);
+            if (suppression) onSuppressionChange?.(issue, suppression);
+          }}
+        />
+      )}
+
       {issue.location && (
         <div className="issue-location">{issue.location}</div>
       )}
 
+      {blame && !blame.error && <BlameLine blame={blame} />}
+
       <div className="issue-description">{issue.description}</div>
 
       {issue.code && <pre>{issue.code}</pre>}
 
       {issue.fixCode ? (
         <>
-          <div className="fix-label">✅ Recommended Fix</div>
-          <pre className="fix-code">{issue.fixCode}</pre>
+          <div className="fix-label">
+            ✅ Recommended Fix
+            {edited && !editing && <span className="edited-badge">✎ Edited</span>}
+            {edited && !editing && (
+              <button className="fix-original-toggle" onClick={() => setShowOriginal(!showOriginal)}>
+                {showOriginal ? 'Hide original' : 'Show original'}
+              </button>
+            )}
+          </div>
+          {editing ? (
+            <FixEditor value={draft} onChange={setDraft} />
+          ) : (
+            <pre className="fix-code">{fixCode}</pre>
+          )}
+          {edited && showOriginal && !editing && (
+            <>
+              <div className="fix-label fix-label-original">Original suggestion</div>
+              <pre className="fix-code fix-code-original">{savedFix.originalFixCode}</pre>
+            </>
+          )}
           {issue.fixDescription && (
             <div className="fix-description">{issue.fixDescription}</div>
           )}
-          <div className="accept-bar">
-            <button
-              className={`accept-btn${status === 'accepted' ? ' accepted' : ''}`}
-              disabled={status !== 'idle'}
-              onClick={handleAccept}
-            >
-              {status === 'saving'
-                ? 'Saving...'
-                : status === 'accepted'
-                ? '✓ Accepted'
-                : '✓ Accept Fix'}
-            </button>
-            <span className="accept-status">{statusText}</span>
-          </div>
+          {editing ? (
+            <div className="accept-bar">
+              <button
+                className="accept-btn"
+                disabled={status === 'saving' || !draft.trim()}
+                onClick={() => handleAccept(draft)}
+              >
+                {status === 'saving' ? 'Saving...' : draft === issue.fixCode ? '✓ Accept Fix' : '✓ Accept Edited Fix'}
+              </button>
+              <button
+                className="dismiss-btn preview-btn"
+                disabled={draft === issue.fixCode}
+                onClick={() => setDraft(issue.fixCode)}
+              >
+                Reset to suggestion
+              </button>
+              <button className="dismiss-cancel" onClick={() => setEditing(false)}>Cancel</button>
+              <span className="accept-status">{statusText}</span>
+            </div>
+          ) : (
+            <div className="accept-bar">
+              <button
+                className={`accept-btn${status === 'accepted' ? ' accepted' : ''}`}
+                disabled={status !== 'idle'}
+                onClick={() => handleAccept()}
+              >
+                {status === 'saving'
+                  ? 'Saving...'
+                  : status === 'accepted'
+                  ? '✓ Accepted'
+                  : '✓ Accept Fix'}
+              </button>
+              {!applied && (
+                <button
+                  className="dismiss-btn preview-btn"
+                  onClick={() => {
+                    setDraft(fixCode);
+                    setEditing(true);
+                    setShowPreview(false);
+                  }}
+                >
+                  ✎ Edit fix
+                </button>
+              )}
+              {status === 'accepted' && !applied && issue.fingerprint && (
+                <button className="dismiss-btn preview-btn" onClick={() => setShowPreview(!showPreview)}>
+                  {showPreview ? 'Hide preview' : '⇄ Preview & apply'}
+                </button>
+              )}
+              {status === 'accepted' && !applied && issue.fingerprint && (
+                <button className="dismiss-btn preview-btn" onClick={handleUnaccept}>
+                  ↺ Un-accept
+                </button>
+              )}
+              <span className="accept-status">{statusText}</span>
+            </div>
+          )}
+          {showPreview && !editing && (
+            <FixPreview
+              key={fixCode}
+              fingerprints={[issue.fingerprint]}
+              onApplied={(fingerprints) => {
+                if (!fingerprints.includes(issue.fingerprint)) return;
+                setApplied(true);
+                setStatusText('✅ Applied to source');
+              }}
+              onClose={() => setShowPreview(false)}
+            />
+          )}
         </>
       ) : issue.fix ? (
         <>
@@ -86,3 +269,79 @@ export default function IssueCard({ issue, fileName, isAccepted, appliedStatus,
     </div>
   );
 }
+
+// Plain monospace editor for fixCode; Tab indents instead of moving focus
+function FixEditor({ value, onChange }) {
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Tab') return;
+    e.preventDefault();
+    const el = e.target;
+    const { selectionStart, selectionEnd } = el;
+    onChange(value.slice(0, selectionStart) + '    ' + value.slice(selectionEnd));
+    requestAnimationFrame(() => {
+      el.selectionStart = el.selectionEnd = selectionStart + 4;
+    });
+  };
+
+  return (
+    <textarea
+      className="fix-editor"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      onKeyDown={handleKeyDown}
+      rows={Math.min(Math.max(value.split('\n').length + 1, 4), 30)}
+      spellCheck={false}
+      autoFocus
+    />
+  );
+}
+
+function DismissForm({ issue, fileName, onDone }) {
+  const [kind, setKind] = useState('false-positive');
+  const [reason, setReason] = useState('');
+  const [expires, setExpires] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      const result = await suppressIssue({
+        fingerprint: issue.fingerprint,
+        file: fileName,
+        title: issue.title,
+        kind,
+        reason: reason.trim(),
+        // Expire at the end of the chosen day
+        expiresAt: expires ? new Date(`${expires}T23:59:59`).toISOString() : null,
+      });
+      onDone(result.suppression);
+    } catch {
+      setError('Error saving — try again');
+    }
+  };
+
+  return (
+    <form className="dismiss-form" onSubmit={handleSubmit}>
+      <select value={kind} onChange={(e) => setKind(e.target.value)}>
+        {Object.entries(DISMISS_KINDS).map(([k, label]) => (
+          <option key={k} value={k}>{label}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        placeholder="Reason"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        autoFocus
+      />
+      <label>
+        Expires
+        <input type="date" value={expires} onChange={(e) => setExpires(e.target.value)} />
+      </label>
+      <button type="submit" className="dismiss-submit">Dismiss</button>
+      <button type="button" className="dismiss-cancel" onClick={() => onDone(null)}>Cancel</button>
+      {error && <span className="accept-status">{error}</span>}
+    </form>
+  );
+}
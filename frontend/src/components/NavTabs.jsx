@@ -0,0 +1,26 @@
+import { Link } from 'react-router-dom';
+
+const TABS = [
+  { key: 'review', to: '/', label: '📊 Review' },
+  { key: 'issues', to: '/issues', label: '🔎 Issues' },
+  { key: 'fixes', to: '/fixes', label: '🛠️ Fix Queue' },
+  { key: 'trends', to: '/trends', label: '📈 Trends' },
+  { key: 'compare', to: '/compare', label: '🔀 Compare' },
+  { key: 'builds', to: '/builds', label: '🔨 Builds' },
+  { key: 'tests', to: '/tests', label: '🧪 Tests' },
+  { key: 'changes', to: '/changes', label: '📝 Changes', branchDiffOnly: true },
+];
+
+export default function NavTabs({ active, mode }) {
+  return (
+    <div className="nav-tabs">
+      {TABS.filter((t) => !t.branchDiffOnly || mode === 'branch-diff').map((t) =>
+        t.key === active ? (
+          <span key={t.key} className="nav-tab active">{t.label}</span>
+        ) : (
+          <Link key={t.key} to={t.to} className="nav-tab">{t.label}</Link>
+        )
+      )}
+    </div>
+  );
+}
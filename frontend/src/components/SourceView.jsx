@@ -0,0 +1,91 @@
+import { useState, useEffect, useMemo } from 'react';
+import { fetchSource } from '../api';
+
+const SEVERITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+
+const methodLabel = (name) => (name === 'classDeclaration' ? name : `${name}()`);
+
+// The X++ methods of a review file's object XML, with the lines of each issue's code
+// snippet highlighted by severity. Clicking a highlighted line calls onSelectIssue(fingerprint).
+export default function SourceView({ fileName, issues, onSelectIssue }) {
+  const [source, setSource] = useState(null);
+  const [error, setError] = useState('');
+  const [showAll, setShowAll] = useState(false);
+
+  useEffect(() => {
+    setSource(null);
+    setError('');
+    fetchSource(fileName)
+      .then(setSource)
+      .catch((err) => setError(err.message));
+  }, [fileName]);
+
+  // "method:line" → issues on that line, most severe first
+  const byLine = useMemo(() => {
+    const result = new Map();
+    if (!source) return result;
+    const ordered = [...issues].sort((a, b) => (SEVERITY_ORDER[a.severity] ?? 4) - (SEVERITY_ORDER[b.severity] ?? 4));
+    for (const issue of ordered) {
+      const at = source.issues[issue.fingerprint];
+      if (!at || at.error) continue;
+      for (let n = at.line; n <= at.endLine; n++) {
+        const key = `${at.method}:${n}`;
+        result.set(key, [...(result.get(key) || []), issue]);
+      }
+    }
+    return result;
+  }, [source, issues]);
+
+  if (error) return <div className="build-parse-error">{error}</div>;
+  if (!source) return <div className="loading">Loading source...</div>;
+
+  const located = issues.filter((i) => source.issues[i.fingerprint] && !source.issues[i.fingerprint].error);
+  const withIssues = new Set(located.map((i) => source.issues[i.fingerprint].method));
+  const methods = showAll ? source.methods : source.methods.filter((m) => withIssues.has(m.name));
+
+  return (
+    <div className="source-view">
+      <div className="source-view-bar">
+        <code>{source.path}</code>
+        <span>
+          {located.length} of {issues.length} issue{issues.length !== 1 ? 's' : ''} located
+        </span>
+        <label className="whitespace-toggle">
+          <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+          Show all {source.methods.length} methods
+        </label>
+      </div>
+      {methods.length === 0 && (
+        <div className="diff-empty-hunk">No issue code was found in the methods of {source.path}</div>
+      )}
+      {methods.map((m) => (
+        <div key={m.name} className="source-method">
+          <div className="method-diff-header">
+            <code>{methodLabel(m.name)}</code>
+            <span className="source-method-line">line {m.startLine} of the XML</span>
+          </div>
+          <table className="diff-table source-table">
+            <tbody>
+              {m.lines.map((text, i) => {
+                const hits = byLine.get(`${m.name}:${i + 1}`);
+                return (
+                  <tr
+                    key={i}
+                    className={hits ? `source-line-hit ${hits[0].severity}` : undefined}
+                    title={hits?.map((h) => `${h.severity}: ${h.title}`).join('\n')}
+                    onClick={hits ? () => onSelectIssue(hits[0].fingerprint) : undefined}
+                  >
+                    <td className="diff-line-num">{i + 1}</td>
+                    <td className="diff-line-content">
+                      <pre>{text}</pre>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import { useState } from 'react';
+
+const COLLAPSED_ROWS = 20;
+
+// Lists schema problems in code-review-result.json. `blocking` means the file
+// could not be loaded at all, as opposed to loaded with repairs.
+export default function ValidationPanel({ validation, blocking = false }) {
+  const [expanded, setExpanded] = useState(false);
+  const { errors } = validation;
+  const shown = expanded ? errors : errors.slice(0, COLLAPSED_ROWS);
+
+  return (
+    <div className="validation-panel">
+      <h2>⚠️ {blocking ? 'Review Data Could Not Be Loaded' : 'Review Data Has Problems'}</h2>
+      <p>
+        <code>code-review-result.json</code> has {errors.length} problem{errors.length !== 1 ? 's' : ''}.
+        {blocking ? ' ' : ' Entries that could be repaired are still shown. '}
+        Re-run the <strong>xpp-code-reviewer</strong> agent or fix the file by hand.
+      </p>
+      <ul className="validation-list">
+        {shown.map((e, i) => (
+          <li key={i}>
+            <code className="validation-path">{e.path || '(root)'}</code>
+            {(e.file || e.issue) && (
+              <span className="validation-context">
+                {[e.file, e.issue && `“${e.issue}”`].filter(Boolean).join(' · ')}
+              </span>
+            )}
+            <span className="validation-message">{e.message}</span>
+          </li>
+        ))}
+      </ul>
+      {errors.length > COLLAPSED_ROWS && (
+        <button className="filter-btn" onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Show fewer' : `Show all ${errors.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
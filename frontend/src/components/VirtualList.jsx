@@ -0,0 +1,43 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Renders only the rows near the viewport of a long list that scrolls with the page.
+// Rows have a fixed height; `renderRow(index)` may return a placeholder for rows not loaded yet.
+export default function VirtualList({ count, rowHeight, renderRow, onVisibleRange, overscan = 10 }) {
+  const ref = useRef(null);
+  const [range, setRange] = useState({ start: 0, end: 0 });
+
+  useEffect(() => {
+    const measure = () => {
+      if (!ref.current) return;
+      const first = Math.floor(Math.max(0, -ref.current.getBoundingClientRect().top) / rowHeight);
+      const start = Math.max(0, first - overscan);
+      const end = Math.min(count, first + Math.ceil(window.innerHeight / rowHeight) + overscan);
+      setRange((prev) => (prev.start === start && prev.end === end ? prev : { start, end }));
+    };
+    measure();
+    window.addEventListener('scroll', measure, { passive: true });
+    window.addEventListener('resize', measure);
+    return () => {
+      window.removeEventListener('scroll', measure);
+      window.removeEventListener('resize', measure);
+    };
+  }, [count, rowHeight, overscan]);
+
+  useEffect(() => {
+    onVisibleRange?.(range.start, range.end);
+  }, [range.start, range.end, onVisibleRange]);
+
+  const rows = [];
+  for (let i = range.start; i < range.end; i++) {
+    rows.push(
+      <div key={i} className="virtual-row" style={{ top: i * rowHeight, height: rowHeight }}>
+        {renderRow(i)}
+      </div>
+    );
+  }
+  return (
+    <div ref={ref} className="virtual-list" style={{ height: count * rowHeight }}>
+      {rows}
+    </div>
+  );
+}
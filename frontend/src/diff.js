@@ -0,0 +1,351 @@
+/**
+ * Parse a unified diff string into structured file entries.
+ * Each entry: { header, oldFile, newFile, isDeleted, isNew, hunks[] }
+ * Each hunk: { header, oldStart, oldCount, newStart, newCount, lines[] }
+ * Each line: { type: 'context'|'add'|'remove'|'header', content, oldLine, newLine }
+ */
+export function parseDiff(diffText) {
+  const files = [];
+  const fileParts = diffText.split(/^diff --git /m).filter(Boolean);
+
+  for (const part of fileParts) {
+    const lines = part.split('\n');
+    const headerLine = 'diff --git ' + lines[0];
+
+    let oldFile = '', newFile = '';
+    let isDeleted = false, isNew = false;
+    const metaLines = [];
+    let hunkStart = -1;
+
+    for (let i = 1; i < lines.length; i++) {
+      const l = lines[i];
+      if (l.startsWith('--- ')) {
+        oldFile = l.replace(/^--- (a\/|b\/)?/, '');
+        metaLines.push(l);
+      } else if (l.startsWith('+++ ')) {
+        newFile = l.replace(/^\+\+\+ (a\/|b\/)?/, '');
+        metaLines.push(l);
+      } else if (l.startsWith('deleted file')) {
+        isDeleted = true;
+        metaLines.push(l);
+      } else if (l.startsWith('new file')) {
+        isNew = true;
+        metaLines.push(l);
+      } else if (l.startsWith('@@')) {
+        hunkStart = i;
+        break;
+      } else {
+        metaLines.push(l);
+      }
+    }
+
+    const displayName = isDeleted
+      ? oldFile || newFile
+      : newFile || oldFile;
+
+    const hunks = [];
+    let currentHunk = null;
+    let oldLine = 0, newLine = 0;
+
+    for (let i = hunkStart; i >= 0 && i < lines.length; i++) {
+      const l = lines[i];
+      if (l.startsWith('@@')) {
+        const match = l.match(/@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)/);
+        if (match) {
+          currentHunk = {
+            header: l,
+            oldStart: parseInt(match[1]),
+            oldCount: parseInt(match[2] ?? '1'),
+            newStart: parseInt(match[3]),
+            newCount: parseInt(match[4] ?? '1'),
+            context: match[5]?.trim() || '',
+            lines: [],
+          };
+          hunks.push(currentHunk);
+          oldLine = currentHunk.oldStart;
+          newLine = currentHunk.newStart;
+        }
+      } else if (currentHunk) {
+        // The diff text's final newline leaves an empty string after the last line
+        if (l === '' && i === lines.length - 1) continue;
+        if (l.startsWith('+')) {
+          currentHunk.lines.push({ type: 'add', content: l.slice(1), newLine: newLine++ });
+        } else if (l.startsWith('-')) {
+          currentHunk.lines.push({ type: 'remove', content: l.slice(1), oldLine: oldLine++ });
+        } else if (l.startsWith('\\')) {
+          currentHunk.lines.push({ type: 'info', content: l });
+        } else {
+          currentHunk.lines.push({ type: 'context', content: l.slice(1) || l, oldLine: oldLine++, newLine: newLine++ });
+        }
+      }
+    }
+
+    files.push({
+      header: headerLine,
+      oldFile,
+      newFile,
+      displayName,
+      isDeleted,
+      isNew,
+      hunks,
+      addCount: hunks.reduce((s, h) => s + h.lines.filter(l => l.type === 'add').length, 0),
+      removeCount: hunks.reduce((s, h) => s + h.lines.filter(l => l.type === 'remove').length, 0),
+    });
+  }
+
+  return files;
+}
+
+const normalizeCode = (text) => text.replace(/\s+/g, ' ').trim();
+
+/** The line number in locations like "Line 45 — methodName()" or "Lines 45-52", or null. */
+export function issueLineNumber(location) {
+  const m = /\blines?\s+(\d+)/i.exec(location || '');
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * Place review issues on the lines of one parsed diff file.
+ * An issue is anchored below the last line of its `code` snippet when the
+ * snippet appears on the new side of a hunk (longest run of matching lines
+ * wins, then added over context lines, then closest to the location's line);
+ * otherwise on the "Line N" of its location when N is a new-side hunk line.
+ * Returns { anchors: Map<'hunkIndex:lineIndex', issue[]>, unanchored: issue[] }.
+ */
+export function anchorIssues(file, issues) {
+  // New-side lines of each hunk, in order
+  const hunkLines = file.hunks.map((hunk, hi) =>
+    hunk.lines
+      .map((line, li) => ({ hi, li, line, text: normalizeCode(line.content) }))
+      .filter((l) => l.line.type === 'add' || l.line.type === 'context')
+  );
+
+  const anchors = new Map();
+  const unanchored = [];
+  const place = (key, issue) => anchors.set(key, [...(anchors.get(key) || []), issue]);
+
+  for (const issue of issues) {
+    const target = issueLineNumber(issue.location);
+    const snippet = (issue.code || '').split(/\r?\n/).map(normalizeCode).filter(Boolean);
+    let best = null;
+
+    if (snippet.length > 0) {
+      for (const lines of hunkLines) {
+        lines.forEach((start, p) => {
+          let run = 0;
+          while (run < snippet.length && lines[p + run]?.text === snippet[run]) run++;
+          // A lone short line such as "}" or "ttsbegin;" matches too much to be trusted unless the line number agrees
+          if (run === 0 || (run === 1 && snippet[0].length < 12 && start.line.newLine !== target)) return;
+          const last = lines[p + run - 1];
+          const added = lines.slice(p, p + run).some((l) => l.line.type === 'add');
+          const distance = target ? Math.abs(start.line.newLine - target) : 0;
+          if (
+            !best ||
+            run > best.run ||
+            (run === best.run && added && !best.added) ||
+            (run === best.run && added === best.added && distance < best.distance)
+          ) {
+            best = { run, added, distance, key: `${last.hi}:${last.li}` };
+          }
+        });
+      }
+    }
+
+    if (!best && target) {
+      const hit = hunkLines.flat().find((l) => l.line.newLine === target);
+      if (hit) best = { key: `${hit.hi}:${hit.li}` };
+    }
+
+    if (best) place(best.key, issue);
+    else unanchored.push(issue);
+  }
+  return { anchors, unanchored };
+}
+
+// ── Changed-line pairing and word-level diffs ──
+
+// Runs of removed/added lines between context lines: [{ removed: [lineIndex], added: [lineIndex], notes }].
+// Info lines ("\ No newline at end of file") inside a run do not end it; `notes` maps the line each follows to it.
+function changeBlocks(hunk) {
+  const blocks = [];
+  let block = null;
+  hunk.lines.forEach((line, li) => {
+    if (line.type === 'remove' || line.type === 'add') {
+      if (!block) blocks.push((block = { removed: [], added: [], notes: new Map() }));
+      (line.type === 'remove' ? block.removed : block.added).push(li);
+    } else if (line.type === 'info') {
+      if (block) block.notes.set(li - 1, li);
+    } else {
+      block = null;
+    }
+  });
+  return blocks;
+}
+
+/** Removed and added lines that replace each other, paired by position in their block: Map<lineIndex, lineIndex>. */
+export function pairChangedLines(hunk) {
+  const pairs = new Map();
+  for (const { removed, added } of changeBlocks(hunk)) {
+    for (let i = 0; i < Math.min(removed.length, added.length); i++) {
+      pairs.set(removed[i], added[i]);
+      pairs.set(added[i], removed[i]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Rows of the side-by-side view: [{ left, right }] where each side is a line
+ * index into hunk.lines or null. Context lines fill both sides; in a change
+ * block the n-th removed line sits next to the n-th added line, and an info
+ * line in the block goes right under the line it follows, on that line's side.
+ */
+export function splitRows(hunk) {
+  const rows = [];
+  const blocks = changeBlocks(hunk);
+  const blockAt = new Map(blocks.map((b) => [Math.min(...b.removed, ...b.added), b]));
+  const inBlock = new Set(blocks.flatMap((b) => [...b.notes.values()]));
+  for (let li = 0; li < hunk.lines.length; li++) {
+    const line = hunk.lines[li];
+    const block = blockAt.get(li);
+    if (block) {
+      for (let i = 0; i < Math.max(block.removed.length, block.added.length); i++) {
+        const left = block.removed[i] ?? null;
+        const right = block.added[i] ?? null;
+        rows.push({ left, right });
+        const leftNote = block.notes.get(left) ?? null;
+        const rightNote = block.notes.get(right) ?? null;
+        if (leftNote !== null || rightNote !== null) rows.push({ left: leftNote, right: rightNote });
+      }
+    } else if (line.type === 'context' || (line.type === 'info' && !inBlock.has(li))) {
+      rows.push({ left: li, right: li });
+    }
+  }
+  return rows;
+}
+
+const MAX_WORD_TOKENS = 400;
+
+const MAX_LCS_CELLS = 1_000_000;
+
+/** Longest-common-subsequence flags: which items of a and b are kept. */
+function commonFlags(a, b) {
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    // Too large to align: only keep items that are equal at the same position
+    return [a.map((x, i) => x === b[i]), b.map((x, i) => x === a[i])];
+  }
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const keepA = new Array(a.length).fill(false);
+  const keepB = new Array(b.length).fill(false);
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { keepA[i++] = true; keepB[j++] = true; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) i++;
+    else j++;
+  }
+  return [keepA, keepB];
+}
+
+function segments(tokens, keep) {
+  const out = [];
+  tokens.forEach((text, i) => {
+    const changed = !keep[i];
+    const last = out[out.length - 1];
+    if (last && last.changed === changed) last.text += text;
+    else out.push({ text, changed });
+  });
+  return out;
+}
+
+/**
+ * Word-level diff of a removed line and the added line that replaces it.
+ * Returns [oldSegments, newSegments] of { text, changed }, or null when the
+ * lines share no words (highlighting everything adds nothing).
+ */
+export function wordDiff(oldText, newText) {
+  const a = oldText.match(/\s+|\w+|[^\w\s]/g) || [];
+  const b = newText.match(/\s+|\w+|[^\w\s]/g) || [];
+  if (a.length > MAX_WORD_TOKENS || b.length > MAX_WORD_TOKENS) return null;
+  const [keepA, keepB] = commonFlags(a, b);
+  if (!a.some((t, i) => keepA[i] && /\S/.test(t))) return null;
+  return [segments(a, keepA), segments(b, keepB)];
+}
+
+// ── Ignore whitespace ──
+
+const squash = (text) => text.replace(/\s+/g, '');
+
+/**
+ * A copy of a parsed diff file in which removed/added lines that differ only
+ * in whitespace become context lines. Hunks left without changes are dropped.
+ */
+export function ignoreWhitespace(file) {
+  const hunks = [];
+  for (const hunk of file.hunks) {
+    const lines = [];
+    let i = 0;
+    while (i < hunk.lines.length) {
+      const line = hunk.lines[i];
+      if (line.type !== 'remove' && line.type !== 'add') {
+        lines.push(line);
+        i++;
+        continue;
+      }
+      const removed = [], added = [];
+      while (i < hunk.lines.length && (hunk.lines[i].type === 'remove' || hunk.lines[i].type === 'add')) {
+        (hunk.lines[i].type === 'remove' ? removed : added).push(hunk.lines[i]);
+        i++;
+      }
+      const [keepOld, keepNew] = commonFlags(removed.map((l) => squash(l.content)), added.map((l) => squash(l.content)));
+      // Walk both sides, turning each matched pair into one context line
+      let r = 0, a = 0;
+      while (r < removed.length || a < added.length) {
+        if (r < removed.length && !keepOld[r]) lines.push(removed[r++]);
+        else if (a < added.length && !keepNew[a]) lines.push(added[a++]);
+        else {
+          lines.push({ type: 'context', content: added[a].content, oldLine: removed[r].oldLine, newLine: added[a].newLine });
+          r++;
+          a++;
+        }
+      }
+    }
+    if (lines.some((l) => l.type === 'add' || l.type === 'remove')) hunks.push({ ...hunk, lines });
+  }
+  return {
+    ...file,
+    hunks,
+    whitespaceOnly: file.hunks.length > 0 && hunks.length === 0,
+    addCount: hunks.reduce((s, h) => s + h.lines.filter((l) => l.type === 'add').length, 0),
+    removeCount: hunks.reduce((s, h) => s + h.lines.filter((l) => l.type === 'remove').length, 0),
+  };
+}
+
+/**
+ * A copy of `hunk` with extra context lines (new-side line numbers and text,
+ * as [{ line, text }]) added above and below, and its header renumbered.
+ */
+export function withContext(hunk, above = [], below = []) {
+  if (above.length === 0 && below.length === 0) return hunk;
+  // Old and new line numbers differ by a constant outside the hunk's changes
+  const offsetAbove = hunk.oldStart - hunk.newStart;
+  const offsetBelow = hunk.oldStart + hunk.oldCount - (hunk.newStart + hunk.newCount);
+  const context = (offset) => (l) => ({ type: 'context', content: l.text, oldLine: l.line + offset, newLine: l.line });
+  const oldStart = hunk.oldStart - above.length;
+  const newStart = hunk.newStart - above.length;
+  const oldCount = hunk.oldCount + above.length + below.length;
+  const newCount = hunk.newCount + above.length + below.length;
+  return {
+    ...hunk,
+    header: `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@${hunk.context ? ` ${hunk.context}` : ''}`,
+    oldStart,
+    newStart,
+    oldCount,
+    newCount,
+    lines: [...above.map(context(offsetAbove)), ...hunk.lines, ...below.map(context(offsetBelow))],
+  };
+}
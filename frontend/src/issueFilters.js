@@ -0,0 +1,51 @@
+// Filters of the global issues view, kept in the URL query (#/issues?sev=critical,high&q=select)
+// so a pasted link reopens the same view. The same params are sent to /api/issues.
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+export const STATES = [
+  { key: '', label: 'Any state' },
+  { key: 'open', label: 'Not accepted' },
+  { key: 'accepted', label: 'Accepted' },
+  { key: 'applied', label: 'Applied' },
+];
+
+export const SORTS = [
+  { key: 'severity', label: 'Severity' },
+  { key: 'file', label: 'File' },
+  { key: 'category', label: 'Category' },
+  { key: 'title', label: 'Title' },
+];
+
+const list = (value) => (value ? value.split(',').filter(Boolean) : []);
+
+export function parseIssueFilters(searchParams) {
+  return {
+    severities: list(searchParams.get('sev')).filter((s) => SEVERITIES.includes(s)),
+    categories: list(searchParams.get('cat')),
+    files: list(searchParams.get('file')),
+    q: searchParams.get('q') || '',
+    state: STATES.some((s) => s.key === searchParams.get('state')) ? searchParams.get('state') : '',
+    dismissed: searchParams.get('dismissed') === '1',
+    sort: SORTS.some((s) => s.key === searchParams.get('sort')) ? searchParams.get('sort') : 'severity',
+    desc: searchParams.get('order') === 'desc',
+  };
+}
+
+// Inverse of parseIssueFilters; defaults are left out to keep links short
+export function issueFilterParams(filters) {
+  const params = {};
+  if (filters.severities.length) params.sev = filters.severities.join(',');
+  if (filters.categories.length) params.cat = filters.categories.join(',');
+  if (filters.files.length) params.file = filters.files.join(',');
+  if (filters.q) params.q = filters.q;
+  if (filters.state) params.state = filters.state;
+  if (filters.dismissed) params.dismissed = '1';
+  if (filters.sort !== 'severity') params.sort = filters.sort;
+  if (filters.desc) params.order = 'desc';
+  return params;
+}
+
+export function hasIssueFilters(filters) {
+  return Object.keys(issueFilterParams(filters)).length > 0;
+}
@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+
+// Per-topic change counters ('review', 'accepted-fixes', 'builds', ...) fed by /api/events
+export const LiveUpdatesContext = createContext({});
+
+// Returns a number that increases whenever any of the given topics changes on
+// the server — add it to an effect's dependencies to refetch live.
+export function useLiveVersion(...topics) {
+  const versions = useContext(LiveUpdatesContext);
+  return topics.reduce((s, t) => s + (versions[t] || 0), 0);
+}
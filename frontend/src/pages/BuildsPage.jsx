@@ -0,0 +1,200 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Header from '../components/Header';
+import NavTabs from '../components/NavTabs';
+import { fetchBuilds } from '../api';
+import { useLiveVersion } from '../live';
+import { reviewIssueTotal } from '../utils';
+
+const SOURCES = [
+  { key: 'all', label: 'All' },
+  { key: 'build', label: 'Compile' },
+  { key: 'bp', label: 'Best Practice' },
+];
+
+const SEVERITIES = [
+  { key: 'all', label: 'All', icon: '' },
+  { key: 'error', label: 'Errors', icon: '🔴 ' },
+  { key: 'warning', label: 'Warnings', icon: '🟡 ' },
+  { key: 'info', label: 'Info', icon: '🔵 ' },
+];
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+export default function BuildsPage({ data, projectProps }) {
+  const [builds, setBuilds] = useState(null);
+  const [source, setSource] = useState('all');
+  const [severity, setSeverity] = useState('all');
+  const [search, setSearch] = useState('');
+  const buildsVersion = useLiveVersion('builds');
+
+  useEffect(() => {
+    fetchBuilds()
+      .then(setBuilds)
+      .catch(() => setBuilds({ models: [], totals: { errors: 0, warnings: 0, bpErrors: 0, bpWarnings: 0 } }));
+  }, [buildsVersion]);
+
+  const totalIssues = reviewIssueTotal(data);
+  const reviewedFiles = new Set(data.files.map((f) => f.file));
+  const needle = search.trim().toLowerCase();
+
+  const matches = (d) =>
+    (severity === 'all' || d.severity === severity) &&
+    (!needle ||
+      d.message.toLowerCase().includes(needle) ||
+      d.path.toLowerCase().includes(needle));
+
+  const rowsFor = (m) =>
+    ['build', 'bp']
+      .filter((kind) => m[kind] && (source === 'all' || source === kind))
+      .flatMap((kind) => m[kind].diagnostics.filter(matches).map((d) => ({ ...d, kind })))
+      .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+  return (
+    <>
+      <Header
+        fileLabel={builds ? `${builds.models.length} model${builds.models.length !== 1 ? 's' : ''} built` : 'Loading builds...'}
+        date={data.date}
+        totalIssues={totalIssues}
+        projectProps={projectProps}
+      />
+      <div className="container">
+        <NavTabs active="builds" mode={data.mode} />
+
+        {!builds ? (
+          <div className="loading">Loading build logs...</div>
+        ) : builds.models.length === 0 ? (
+          <div className="empty-state">
+            <h2>No Build Logs</h2>
+            <p>
+              No <code>build-&lt;model&gt;.xml</code> or <code>bp-&lt;model&gt;.xml</code> found.
+              Run <code>scripts/Build-XppSolution.ps1</code> to build the solution.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="stats-grid">
+              <div className="stat-card critical">
+                <div className="count">{builds.totals.errors}</div>
+                <div className="label">Compile Errors</div>
+              </div>
+              <div className="stat-card medium">
+                <div className="count">{builds.totals.warnings}</div>
+                <div className="label">Compile Warnings</div>
+              </div>
+              <div className="stat-card high">
+                <div className="count">{builds.totals.bpErrors}</div>
+                <div className="label">BP Errors</div>
+              </div>
+              <div className="stat-card low">
+                <div className="count">{builds.totals.bpWarnings}</div>
+                <div className="label">BP Warnings</div>
+              </div>
+            </div>
+
+            <div className="filter-bar">
+              {SOURCES.map((s) => (
+                <button
+                  key={s.key}
+                  className={`filter-btn${source === s.key ? ' active' : ''}`}
+                  onClick={() => setSource(s.key)}
+                >
+                  {s.label}
+                </button>
+              ))}
+              <span className="filter-sep" />
+              {SEVERITIES.map((s) => (
+                <button
+                  key={s.key}
+                  className={`filter-btn${severity === s.key ? ' active' : ''}`}
+                  onClick={() => setSeverity(s.key)}
+                >
+                  {s.icon}{s.label}
+                </button>
+              ))}
+              <input
+                className="filter-search"
+                type="search"
+                placeholder="Filter by message or path"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+            </div>
+
+            {builds.models.map((m) => (
+              <ModelBlock key={m.model} model={m} rows={rowsFor(m)} reviewedFiles={reviewedFiles} />
+            ))}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+function ModelBlock({ model, rows, reviewedFiles }) {
+  const builtAt = model.build?.modifiedAt || model.bp?.modifiedAt;
+  const failed = (model.build?.errors || 0) + (model.bp?.errors || 0) > 0;
+  const parseErrors = [model.build, model.bp].filter((l) => l?.parseError);
+
+  return (
+    <div className="build-model">
+      <div className="build-model-header">
+        <span className={`build-status ${failed ? 'failed' : 'ok'}`}>{failed ? 'FAILED' : 'OK'}</span>
+        <span className="build-model-name">{model.model}</span>
+        <span className="build-model-meta">
+          {model.build ? `${model.build.errors} errors, ${model.build.warnings} warnings` : 'no build log'}
+          {' · '}
+          {model.bp ? `BP: ${model.bp.errors} errors, ${model.bp.warnings} warnings` : 'BP skipped'}
+          {builtAt && <> · {new Date(builtAt).toLocaleString()}</>}
+        </span>
+      </div>
+
+      {parseErrors.map((l) => (
+        <div key={l.file} className="build-parse-error">
+          Could not parse <code>{l.file}</code>: {l.parseError}
+        </div>
+      ))}
+
+      {rows.length === 0 ? (
+        <div className="diff-empty-hunk">No diagnostics match the current filters</div>
+      ) : (
+        <div className="history-table-wrap">
+          <table className="history-table build-table">
+            <thead>
+              <tr>
+                <th>Source</th>
+                <th>Severity</th>
+                <th>Element</th>
+                <th>Line</th>
+                <th>Message</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((d, i) => (
+                <tr key={i}>
+                  <td>{d.kind === 'bp' ? 'BP' : 'Compile'}</td>
+                  <td>
+                    <span className={`build-severity ${d.severity}`}>{d.severity}</span>
+                  </td>
+                  <td className="build-element" title={d.path}>
+                    {d.elementName && reviewedFiles.has(d.elementName) ? (
+                      <Link to={`/file/${encodeURIComponent(d.elementName)}`}>{d.elementName}</Link>
+                    ) : (
+                      d.elementName || d.path || '—'
+                    )}
+                    {d.method && <span className="build-method">.{d.method}()</span>}
+                  </td>
+                  <td>{d.line ?? ''}</td>
+                  <td className="build-message">
+                    {d.message}
+                    {d.moniker && <span className="build-moniker">{d.moniker}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import Header from '../components/Header';
+import NavTabs from '../components/NavTabs';
+import { fetchReviewHistory, fetchReviewComparison } from '../api';
+import { reviewIssueTotal } from '../utils';
+
+const BUCKETS = [
+  { key: 'new', label: 'New', icon: '🆕 ' },
+  { key: 'resolved', label: 'Resolved', icon: '✅ ' },
+  { key: 'persisting', label: 'Persisting', icon: '⏳ ' },
+];
+
+export default function ComparePage({ data, projectProps }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [reviews, setReviews] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [bucket, setBucket] = useState('new');
+
+  const base = searchParams.get('base') || '';
+  const head = searchParams.get('head') || '';
+
+  useEffect(() => {
+    fetchReviewHistory()
+      .then((result) => setReviews(result.reviews || []))
+      .catch(() => setReviews([]));
+  }, [data]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchReviewComparison(base, head)
+      .then(setComparison)
+      .catch(() => setComparison(null))
+      .finally(() => setLoading(false));
+  }, [base, head, data]);
+
+  const selectRun = (key, id) => {
+    const next = new URLSearchParams(searchParams);
+    next.set('base', key === 'base' ? id : comparison?.base.id || '');
+    next.set('head', key === 'head' ? id : comparison?.head.id || '');
+    setSearchParams(next);
+  };
+
+  const totalIssues = reviewIssueTotal(data);
+  const reviewedFiles = new Set(data.files.map((f) => f.file));
+  const files = comparison ? comparison.files.filter((f) => f[bucket].length > 0) : [];
+
+  return (
+    <>
+      <Header fileLabel="Review comparison" date={data.date} totalIssues={totalIssues} projectProps={projectProps} />
+      <div className="container">
+        <NavTabs active="compare" mode={data.mode} />
+
+        {loading ? (
+          <div className="loading">Comparing reviews...</div>
+        ) : !comparison ? (
+          <div className="empty-state">
+            <h2>Nothing to Compare</h2>
+            <p>
+              A comparison needs at least two archived reviews. Re-run the{' '}
+              <strong>xpp-code-reviewer</strong> agent to archive another review.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="compare-pickers">
+              <RunPicker label="Base" value={comparison.base.id} reviews={reviews} onChange={(id) => selectRun('base', id)} />
+              <span className="compare-arrow">→</span>
+              <RunPicker label="Head" value={comparison.head.id} reviews={reviews} onChange={(id) => selectRun('head', id)} />
+            </div>
+
+            <div className="compare-totals">
+              {BUCKETS.map((b) => (
+                <div key={b.key} className={`stat-card compare-${b.key}`}>
+                  <div className="count">{comparison.totals[b.key]}</div>
+                  <div className="label">{b.label}</div>
+                </div>
+              ))}
+            </div>
+
+            <div className="filter-bar">
+              {BUCKETS.map((b) => (
+                <button
+                  key={b.key}
+                  className={`filter-btn${bucket === b.key ? ' active' : ''}`}
+                  onClick={() => setBucket(b.key)}
+                >
+                  {b.icon}{b.label} ({comparison.totals[b.key]})
+                </button>
+              ))}
+            </div>
+
+            {files.length === 0 ? (
+              <div className="empty-state">
+                <p>No {bucket} issues between these two reviews.</p>
+              </div>
+            ) : (
+              files.map((f) => (
+                <div key={f.file} className="compare-file">
+                  <div className="compare-file-header">
+                    {reviewedFiles.has(f.file) ? (
+                      <Link to={`/file/${encodeURIComponent(f.file)}`}>{f.file}</Link>
+                    ) : (
+                      <span>{f.file}</span>
+                    )}
+                    <span className="badge">{f[bucket].length}</span>
+                  </div>
+                  {f[bucket].map((issue, i) => (
+                    <div key={i} className="compare-issue">
+                      <span className={`severity-badge ${issue.severity}`}>{issue.severity}</span>
+                      <span className="compare-issue-title">{issue.title}</span>
+                      {issue.location && <span className="compare-issue-location">{issue.location}</span>}
+                    </div>
+                  ))}
+                </div>
+              ))
+            )}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+function RunPicker({ label, value, reviews, onChange }) {
+  return (
+    <label className="compare-picker">
+      <span>{label}</span>
+      <select value={value} onChange={(e) => onChange(e.target.value)}>
+        {[...reviews].reverse().map((r) => (
+          <option key={r.id} value={r.id}>
+            {new Date(r.date).toLocaleString()} — {r.totalIssues} issues
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
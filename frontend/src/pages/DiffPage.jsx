@@ -1,103 +1,12 @@
-import { useState, useEffect, useRef } from 'react';
-import { Link } from 'react-router-dom';
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import Header from '../components/Header';
-import { fetchDiff } from '../api';
-
-/**
- * Parse a unified diff string into structured file entries.
- * Each entry: { header, oldFile, newFile, isDeleted, isNew, hunks[] }
- * Each hunk: { header, oldStart, oldCount, newStart, newCount, lines[] }
- * Each line: { type: 'context'|'add'|'remove'|'header', content, oldLine, newLine }
- */
-function parseDiff(diffText) {
-  const files = [];
-  const fileParts = diffText.split(/^diff --git /m).filter(Boolean);
-
-  for (const part of fileParts) {
-    const lines = part.split('\n');
-    const headerLine = 'diff --git ' + lines[0];
-
-    let oldFile = '', newFile = '';
-    let isDeleted = false, isNew = false;
-    const metaLines = [];
-    let hunkStart = -1;
-
-    for (let i = 1; i < lines.length; i++) {
-      const l = lines[i];
-      if (l.startsWith('--- ')) {
-        oldFile = l.replace(/^--- (a\/|b\/)?/, '');
-        metaLines.push(l);
-      } else if (l.startsWith('+++ ')) {
-        newFile = l.replace(/^\+\+\+ (a\/|b\/)?/, '');
-        metaLines.push(l);
-      } else if (l.startsWith('deleted file')) {
-        isDeleted = true;
-        metaLines.push(l);
-      } else if (l.startsWith('new file')) {
-        isNew = true;
-        metaLines.push(l);
-      } else if (l.startsWith('@@')) {
-        hunkStart = i;
-        break;
-      } else {
-        metaLines.push(l);
-      }
-    }
-
-    const displayName = isDeleted
-      ? oldFile || newFile
-      : newFile || oldFile;
-
-    const hunks = [];
-    let currentHunk = null;
-    let oldLine = 0, newLine = 0;
-
-    for (let i = hunkStart; i >= 0 && i < lines.length; i++) {
-      const l = lines[i];
-      if (l.startsWith('@@')) {
-        const match = l.match(/@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)/);
-        if (match) {
-          currentHunk = {
-            header: l,
-            oldStart: parseInt(match[1]),
-            oldCount: parseInt(match[2] ?? '1'),
-            newStart: parseInt(match[3]),
-            newCount: parseInt(match[4] ?? '1'),
-            context: match[5]?.trim() || '',
-            lines: [],
-          };
-          hunks.push(currentHunk);
-          oldLine = currentHunk.oldStart;
-          newLine = currentHunk.newStart;
-        }
-      } else if (currentHunk) {
-        if (l.startsWith('+')) {
-          currentHunk.lines.push({ type: 'add', content: l.slice(1), newLine: newLine++ });
-        } else if (l.startsWith('-')) {
-          currentHunk.lines.push({ type: 'remove', content: l.slice(1), oldLine: oldLine++ });
-        } else if (l.startsWith('\\')) {
-          currentHunk.lines.push({ type: 'info', content: l });
-        } else {
-          currentHunk.lines.push({ type: 'context', content: l.slice(1) || l, oldLine: oldLine++, newLine: newLine++ });
-        }
-      }
-    }
-
-    files.push({
-      header: headerLine,
-      oldFile,
-      newFile,
-      displayName,
-      isDeleted,
-      isNew,
-      hunks,
-      addCount: hunks.reduce((s, h) => s + h.lines.filter(l => l.type === 'add').length, 0),
-      removeCount: hunks.reduce((s, h) => s + h.lines.filter(l => l.type === 'remove').length, 0),
-    });
-  }
-
-  return files;
-}
+import DiffHunk from '../components/DiffHunk';
+import DiffIssueAnnotation from '../components/DiffIssueAnnotation';
+import { fetchDiff, fetchDiffMethods, fetchDiffFileLines, fetchCommits, fetchAcceptedFixes } from '../api';
+import { parseDiff, anchorIssues, ignoreWhitespace, withContext } from '../diff';
+import { activeIssues, reviewIssueTotal } from '../utils';
+import { useLiveVersion } from '../live';
 
 function FileNav({ files, activeIndex, onSelect }) {
   return (
@@ -129,19 +38,143 @@ function FileNav({ files, activeIndex, onSelect }) {
   );
 }
 
+// Commits of the review's branch, newest first. Click one to see only its changes;
+// shift-click another to see the range between them.
+function CommitPicker({ commits, refs, onSelect }) {
+  const index = (sha) => commits.findIndex((c) => c.sha === sha);
+  const newest = refs.head ? index(refs.head) : -1;
+  const oldest = refs.base?.endsWith('^') ? index(refs.base.slice(0, -1)) : -1;
+  const selected = newest !== -1 && oldest >= newest ? [newest, oldest] : null;
+
+  const select = (ci, shiftKey) => {
+    const [from, to] = shiftKey && selected ? [Math.min(ci, selected[0]), Math.max(ci, selected[1])] : [ci, ci];
+    onSelect({ base: `${commits[to].sha}^`, head: commits[from].sha });
+  };
+
+  return (
+    <div className="commit-picker">
+      <div className="commit-picker-header">
+        <span className="diff-file-nav-title">Commits</span>
+        <span className="badge">{commits.length}</span>
+        <button className={`filter-btn${!refs.base && !refs.head ? ' active' : ''}`} onClick={() => onSelect(null)}>
+          All changes
+        </button>
+        <span className="commit-picker-hint">Click a commit to view it alone, shift-click to select a range</span>
+      </div>
+      <div className="commit-picker-list">
+        {commits.map((c, ci) => (
+          <button
+            key={c.sha}
+            className={`commit-picker-item${selected && ci >= selected[0] && ci <= selected[1] ? ' active' : ''}`}
+            onClick={(e) => select(ci, e.shiftKey)}
+            title={c.sha}
+          >
+            <code>{c.shortSha}</code>
+            <span className="commit-picker-subject">{c.subject}</span>
+            <span className="commit-picker-meta">
+              {c.author} · {new Date(c.date).toLocaleString()}
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 function shortName(filePath) {
   const parts = filePath.split('/');
   return parts[parts.length - 1] || filePath;
 }
 
-function DiffFileBlock({ file, reviewFiles }) {
+const METHOD_STATUS = { added: 'Added', removed: 'Removed', modified: 'Modified' };
+
+// Lines loaded per click on a hunk's expand buttons
+const EXPAND_STEP = 20;
+
+const methodLabel = (name) => (name === 'classDeclaration' ? name : `${name}()`);
+
+function DiffFileBlock({ file, refs, reviewFiles, fixStates, onAccepted, split, hideWhitespace, methodSummary }) {
   const [collapsed, setCollapsed] = useState(false);
+  // 'methods' (per X++ method) or 'xml' (raw lines); AOT files default to methods once the summary arrives
+  const [view, setView] = useState(null);
+  // Extra context loaded from git, by hunk header: { above: [{ line, text }], below: [...] }
+  const [extraContext, setExtraContext] = useState({});
+  const [totalLines, setTotalLines] = useState(null);
+  const [expandError, setExpandError] = useState('');
+
+  const methods = useMemo(
+    () =>
+      (methodSummary?.methods || []).map((m) => {
+        const parsed = parseDiff(m.diff)[0] || { hunks: [] };
+        return { ...m, file: hideWhitespace ? ignoreWhitespace(parsed) : parsed };
+      }),
+    [methodSummary, hideWhitespace]
+  );
+  const activeView = view ?? (methods.length > 0 ? 'methods' : 'xml');
+  const xmlHunks = file.hunks.map((h) => withContext(h, extraContext[h.header]?.above, extraContext[h.header]?.below));
+  // Hunks on screen, in order; method hunks are numbered across all methods
+  const shownHunks = activeView === 'methods' ? methods.flatMap((m) => m.file.hunks) : xmlHunks;
+  const methodOffsets = methods.map((_, mi) => methods.slice(0, mi).reduce((n, m) => n + m.file.hunks.length, 0));
 
   // Try to find matching review file for linking
   const matchedReview = reviewFiles?.find(rf => {
     const fn = shortName(file.displayName).replace('.xml', '').replace('.txt', '');
     return rf.file === fn || rf.file.includes(fn) || fn.includes(rf.file.replace(/ \(deleted\)/, ''));
   });
+  const { anchors, unanchored } = matchedReview
+    ? anchorIssues({ hunks: shownHunks }, activeIssues(matchedReview.issues))
+    : { anchors: new Map(), unanchored: [] };
+
+  const renderAnnotations = (hi) => (li) => {
+    const issues = anchors.get(`${hi}:${li}`);
+    return issues?.map((issue) => (
+      <DiffIssueAnnotation
+        key={issue.fingerprint}
+        issue={issue}
+        fileName={matchedReview.file}
+        acceptedState={fixStates[issue.fingerprint]}
+        onAccepted={onAccepted}
+      />
+    ));
+  };
+
+  // Context can be expanded between hunks and towards the ends of a modified file (new-side line numbers)
+  const canExpand = !file.isNew && !file.isDeleted;
+  const hunkEnd = (h) => h.newStart + h.newCount - 1;
+  const gapAbove = (hi) => [hi > 0 ? hunkEnd(xmlHunks[hi - 1]) + 1 : 1, xmlHunks[hi].newStart - 1];
+  const gapBelow = (hi) => [
+    hunkEnd(xmlHunks[hi]) + 1,
+    hi < xmlHunks.length - 1 ? xmlHunks[hi + 1].newStart - 1 : totalLines ?? Infinity,
+  ];
+
+  const expand = async (hi, direction) => {
+    const [from, to] = direction === 'up' ? gapAbove(hi) : gapBelow(hi);
+    const start = direction === 'up' ? Math.max(from, to - EXPAND_STEP + 1) : from;
+    const end = direction === 'up' ? to : Math.min(to, from + EXPAND_STEP - 1);
+    setExpandError('');
+    try {
+      const result = await fetchDiffFileLines(file.displayName, 'head', start, end, refs);
+      setTotalLines(result.totalLines);
+      const loaded = result.lines.map((text, i) => ({ line: result.start + i, text }));
+      const key = file.hunks[hi].header;
+      setExtraContext((prev) => {
+        const current = prev[key] || { above: [], below: [] };
+        return {
+          ...prev,
+          [key]: direction === 'up'
+            ? { ...current, above: [...loaded, ...current.above] }
+            : { ...current, below: [...current.below, ...loaded] },
+        };
+      });
+    } catch (err) {
+      setExpandError(err.message);
+    }
+  };
+  const expandHandler = (hi, direction) => {
+    if (!canExpand) return null;
+    const [from, to] = direction === 'up' ? gapAbove(hi) : gapBelow(hi);
+    return from <= to ? () => expand(hi, direction) : null;
+  };
 
   const totalAdd = file.addCount;
   const totalRemove = file.removeCount;
@@ -159,6 +192,16 @@ function DiffFileBlock({ file, reviewFiles }) {
         <div className="diff-file-header-right">
           {totalAdd > 0 && <span className="diff-stat-add">+{totalAdd}</span>}
           {totalRemove > 0 && <span className="diff-stat-remove">-{totalRemove}</span>}
+          {methods.length > 0 && (
+            <span className="diff-stat-files" title={methods.map((m) => `${methodLabel(m.name)} ${m.status}`).join('\n')}>
+              ⚙ {methods.length} method{methods.length !== 1 ? 's' : ''}
+            </span>
+          )}
+          {anchors.size > 0 && (
+            <span className="diff-stat-files">
+              💬 {[...anchors.values()].flat().length}
+            </span>
+          )}
           {matchedReview && (
             <Link
               to={`/file/${encodeURIComponent(matchedReview.file)}`}
@@ -173,34 +216,77 @@ function DiffFileBlock({ file, reviewFiles }) {
       </div>
       {!collapsed && (
         <div className="diff-file-content">
-          {file.hunks.length === 0 ? (
-            <div className="diff-empty-hunk">Binary file or no content changes</div>
-          ) : (
-            file.hunks.map((hunk, hi) => (
-              <div className="diff-hunk" key={hi}>
-                <div className="diff-hunk-header">{hunk.header}</div>
-                <table className="diff-table">
-                  <tbody>
-                    {hunk.lines.map((line, li) => (
-                      <tr key={li} className={`diff-line diff-line-${line.type}`}>
-                        <td className="diff-line-num diff-line-num-old">
-                          {line.type === 'remove' || line.type === 'context' ? line.oldLine : ''}
-                        </td>
-                        <td className="diff-line-num diff-line-num-new">
-                          {line.type === 'add' || line.type === 'context' ? line.newLine : ''}
-                        </td>
-                        <td className="diff-line-marker">
-                          {line.type === 'add' ? '+' : line.type === 'remove' ? '-' : line.type === 'info' ? '\\' : ' '}
-                        </td>
-                        <td className="diff-line-content">
-                          <pre>{line.content}</pre>
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
+          {unanchored.length > 0 && (
+            <div className="diff-unanchored">
+              {unanchored.length} review issue{unanchored.length !== 1 ? 's' : ''} in this file
+              {unanchored.length !== 1 ? ' do' : ' does'} not match a changed line — see{' '}
+              <Link to={`/file/${encodeURIComponent(matchedReview.file)}`}>the review</Link>
+            </div>
+          )}
+          {methods.length > 0 && (
+            <div className="method-summary">
+              <div className="diff-view-toggle">
+                <button
+                  className={`filter-btn${activeView === 'methods' ? ' active' : ''}`}
+                  onClick={() => setView('methods')}
+                >Methods</button>
+                <button
+                  className={`filter-btn${activeView === 'xml' ? ' active' : ''}`}
+                  onClick={() => setView('xml')}
+                >XML</button>
+              </div>
+              <span className="method-summary-list">
+                {methods.map((m) => (
+                  <span key={m.name} className={`method-chip ${m.status}`}>
+                    {methodLabel(m.name)} {m.status}
+                  </span>
+                ))}
+                {methodSummary.unchanged > 0 && <span>{methodSummary.unchanged} unchanged</span>}
+                {methodSummary.otherChanges && <span>· object properties changed too</span>}
+              </span>
+            </div>
+          )}
+          {activeView === 'methods' ? (
+            methods.map((m, mi) => (
+              <div key={m.name} className="method-diff">
+                <div className="method-diff-header">
+                  <span className={`method-status ${m.status}`}>{METHOD_STATUS[m.status]}</span>
+                  <code>{methodLabel(m.name)}</code>
+                  {m.addCount > 0 && <span className="diff-stat-add">+{m.addCount}</span>}
+                  {m.removeCount > 0 && <span className="diff-stat-remove">-{m.removeCount}</span>}
+                </div>
+                {m.file.whitespaceOnly ? (
+                  <div className="diff-empty-hunk">Only whitespace changes</div>
+                ) : (
+                  m.file.hunks.map((hunk, i) => (
+                    <DiffHunk
+                      key={i}
+                      hunk={hunk}
+                      split={split}
+                      renderAfterLine={renderAnnotations(methodOffsets[mi] + i)}
+                    />
+                  ))
+                )}
               </div>
             ))
+          ) : file.whitespaceOnly ? (
+            <div className="diff-empty-hunk">Only whitespace changes</div>
+          ) : file.hunks.length === 0 ? (
+            <div className="diff-empty-hunk">Binary file or no content changes</div>
+          ) : (
+            <>
+              {expandError && <div className="diff-unanchored">{expandError}</div>}
+              {xmlHunks.map((hunk, hi) => (
+                <DiffHunk
+                  key={file.hunks[hi].header}
+                  hunk={hunk}
+                  split={split}
+                  renderAfterLine={renderAnnotations(hi)}
+                  onExpandUp={expandHandler(hi, 'up')}
+                  onExpandDown={expandHandler(hi, 'down')}
+                />
+              ))}
+            </>
           )}
         </div>
       )}
@@ -214,10 +300,43 @@ export default function DiffPage({ data, projectProps }) {
   const [error, setError] = useState(null);
   const [activeFileIndex, setActiveFileIndex] = useState(0);
   const [showAllFiles, setShowAllFiles] = useState(true);
+  const [split, setSplit] = useState(false);
+  // X++ XML diffs are often pure re-indentation
+  const [hideWhitespace, setHideWhitespace] = useState(false);
+  // fingerprint → 'accepted' | 'applied', for the inline Accept Fix buttons
+  const [fixStates, setFixStates] = useState({});
+  // Per-method changes of AOT object files, keyed by diff path (null until loaded or when unavailable)
+  const [methodSummaries, setMethodSummaries] = useState(null);
+  // Commits between parentBranch and branch, for the commit picker
+  const [commits, setCommits] = useState([]);
+  // ?base=&head= in the page URL select other refs than the review's branches
+  const [searchParams, setSearchParams] = useSearchParams();
+  const base = searchParams.get('base') || '';
+  const head = searchParams.get('head') || '';
+  const refs = useMemo(() => ({ base, head }), [base, head]);
   const contentRef = useRef(null);
+  const fixesVersion = useLiveVersion('accepted-fixes');
+
+  useEffect(() => {
+    fetchAcceptedFixes()
+      .then((result) =>
+        setFixStates(Object.fromEntries((result.fixes || []).map((f) => [f.fingerprint, f.applied ? 'applied' : 'accepted'])))
+      )
+      .catch(() => {});
+  }, [fixesVersion]);
+
+  const handleAccepted = (fix) => setFixStates((prev) => ({ ...prev, [fix.fingerprint]: fix.applied ? 'applied' : 'accepted' }));
+
+  useEffect(() => {
+    fetchCommits()
+      .then((result) => setCommits(result?.commits || []))
+      .catch(() => setCommits([]));
+  }, [data?.branch, data?.parentBranch]);
 
   useEffect(() => {
-    fetchDiff()
+    setError(null);
+    setActiveFileIndex(0);
+    fetchDiff(refs)
       .then((result) => {
         if (result) {
           setDiffData(result);
@@ -227,9 +346,17 @@ export default function DiffPage({ data, projectProps }) {
       })
       .catch(() => setError('Failed to fetch diff data.'))
       .finally(() => setLoading(false));
-  }, []);
+    setMethodSummaries(null);
+    fetchDiffMethods(refs)
+      .then((result) => setMethodSummaries(result?.files || null))
+      .catch(() => setMethodSummaries(null));
+  }, [data?.branch, data?.parentBranch, refs]);
 
-  const files = diffData ? parseDiff(diffData.diff) : [];
+  const selectRefs = (next) => setSearchParams(next || {});
+  const customRefs = Boolean(base || head);
+
+  const parsed = useMemo(() => (diffData ? parseDiff(diffData.diff) : []), [diffData]);
+  const files = useMemo(() => (hideWhitespace ? parsed.map(ignoreWhitespace) : parsed), [parsed, hideWhitespace]);
 
   const totalAdd = files.reduce((s, f) => s + f.addCount, 0);
   const totalRemove = files.reduce((s, f) => s + f.removeCount, 0);
@@ -250,7 +377,7 @@ export default function DiffPage({ data, projectProps }) {
   if (loading) {
     return (
       <>
-        <Header fileLabel="Loading diff..." date={data?.date} totalIssues={0} branchInfo={branchInfo} projectProps={projectProps} />
+        <Header fileLabel="Loading diff..." date={data?.date} totalIssues={reviewIssueTotal(data)} branchInfo={branchInfo} projectProps={projectProps} />
         <div className="container">
           <div className="loading">Loading diff data...</div>
         </div>
@@ -261,12 +388,17 @@ export default function DiffPage({ data, projectProps }) {
   if (error) {
     return (
       <>
-        <Header fileLabel="Diff View" date={data?.date} totalIssues={0} branchInfo={branchInfo} projectProps={projectProps} />
+        <Header fileLabel="Diff View" date={data?.date} totalIssues={reviewIssueTotal(data)} branchInfo={branchInfo} projectProps={projectProps} />
         <div className="container">
           <Link to="/" className="back-btn">← Back to review</Link>
           <div className="empty-state">
             <h2>Diff Not Available</h2>
             <p>{error}</p>
+            {customRefs && (
+              <button className="filter-btn" onClick={() => selectRefs(null)}>
+                Show all changes
+              </button>
+            )}
           </div>
         </div>
       </>
@@ -278,7 +410,7 @@ export default function DiffPage({ data, projectProps }) {
       <Header
         fileLabel={`${files.length} file${files.length !== 1 ? 's' : ''} changed`}
         date={data?.date}
-        totalIssues={data?.files?.reduce((s, f) => s + f.issues.length, 0) ?? 0}
+        totalIssues={reviewIssueTotal(data)}
         branchInfo={branchInfo}
         projectProps={projectProps}
       />
@@ -302,18 +434,45 @@ export default function DiffPage({ data, projectProps }) {
                   onClick={() => setShowAllFiles(false)}
                 >Single File</button>
               </div>
+              <div className="diff-view-toggle">
+                <button
+                  className={`filter-btn${!split ? ' active' : ''}`}
+                  onClick={() => setSplit(false)}
+                >Unified</button>
+                <button
+                  className={`filter-btn${split ? ' active' : ''}`}
+                  onClick={() => setSplit(true)}
+                >Split</button>
+              </div>
+              <label className="whitespace-toggle">
+                <input
+                  type="checkbox"
+                  checked={hideWhitespace}
+                  onChange={(e) => setHideWhitespace(e.target.checked)}
+                />
+                Ignore whitespace
+              </label>
             </>
           )}
         </div>
 
+        {commits.length > 0 && <CommitPicker commits={commits} refs={refs} onSelect={selectRefs} />}
+
         {files.length === 0 ? (
           <div className="empty-state">
             <h2>No Changes</h2>
-            <p>
-              The branches <strong>{diffData?.branch}</strong> and{' '}
-              <strong>{diffData?.parentBranch}</strong> have no code differences.
-              This can happen if the branches have been merged or are at the same commit.
-            </p>
+            {customRefs ? (
+              <p>
+                There are no code differences between <strong>{diffData?.base}</strong> and{' '}
+                <strong>{diffData?.head}</strong>.
+              </p>
+            ) : (
+              <p>
+                The branches <strong>{diffData?.branch}</strong> and{' '}
+                <strong>{diffData?.parentBranch}</strong> have no code differences.
+                This can happen if the branches have been merged or are at the same commit.
+              </p>
+            )}
           </div>
         ) : (
           <div className="diff-layout">
@@ -321,11 +480,31 @@ export default function DiffPage({ data, projectProps }) {
             <div className="diff-main" ref={contentRef}>
               {showAllFiles ? (
                 files.map((f, i) => (
-                  <DiffFileBlock key={i} file={f} reviewFiles={data?.files} />
+                  <DiffFileBlock
+                    key={`${base}..${head}:${i}`}
+                    file={f}
+                    refs={refs}
+                    reviewFiles={data?.files}
+                    fixStates={fixStates}
+                    onAccepted={handleAccepted}
+                    split={split}
+                    hideWhitespace={hideWhitespace}
+                    methodSummary={methodSummaries?.[f.displayName]}
+                  />
                 ))
               ) : (
                 files[activeFileIndex] && (
-                  <DiffFileBlock file={files[activeFileIndex]} reviewFiles={data?.files} />
+                  <DiffFileBlock
+                    key={`${base}..${head}:${activeFileIndex}`}
+                    file={files[activeFileIndex]}
+                    refs={refs}
+                    reviewFiles={data?.files}
+                    fixStates={fixStates}
+                    onAccepted={handleAccepted}
+                    split={split}
+                    hideWhitespace={hideWhitespace}
+                    methodSummary={methodSummaries?.[files[activeFileIndex].displayName]}
+                  />
                 )
               )}
             </div>
@@ -1,51 +1,163 @@
-import { useState, useEffect, useCallback } from 'react';
-import { Link, useParams } from 'react-router-dom';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
 import Header from '../components/Header';
 import StatsGrid from '../components/StatsGrid';
 import SummaryBanner from '../components/SummaryBanner';
 import { SeverityChart, CategoryChart } from '../components/Charts';
 import FilterBar from '../components/FilterBar';
 import IssueCard from '../components/IssueCard';
-import { fetchAcceptedFixes } from '../api';
-import { countIssues } from '../utils';
+import BulkAccept from '../components/BulkAccept';
+import SourceView from '../components/SourceView';
+import { fetchAcceptedFixes, fetchBlame, fetchIssues } from '../api';
+import { EMPTY_ISSUE_COUNTS, UNCATEGORIZED, activeIssues } from '../utils';
+import { useLiveVersion } from '../live';
 
-const SEVERITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+const PAGE_SIZE = 50;
 
 export default function FileDetailPage({ data, projectProps }) {
   const { fileName } = useParams();
+  // ?issue=<fingerprint> scrolls to and highlights one issue (links from the fix queue)
+  const [searchParams, setSearchParams] = useSearchParams();
+  const targetIssue = searchParams.get('issue');
   const decoded = decodeURIComponent(fileName);
   const fileData = data.files.find((f) => f.file === decoded);
 
   const [filter, setFilter] = useState('all');
   const [acceptedKeys, setAcceptedKeys] = useState(new Set());
   const [appliedKeys, setAppliedKeys] = useState(new Set());
+  // accepted-fixes.json entries for this file, by fingerprint
+  const [acceptedFixes, setAcceptedFixes] = useState({});
+  // Dismissals made on this page, by fingerprint (null = restored)
+  const [suppressionOverrides, setSuppressionOverrides] = useState({});
+  const [showSuppressed, setShowSuppressed] = useState(false);
+  const [showSource, setShowSource] = useState(false);
+  // git blame of each issue's code, by fingerprint (empty when the repository is not available)
+  const [blame, setBlame] = useState({});
+  // Counts of the file's issues, and the pages of them loaded so far for the current filters
+  const [stats, setStats] = useState(null);
+  const [list, setList] = useState(null);
+  const loadingMore = useRef(false);
+  const scrolledTo = useRef(null);
+  const fixesVersion = useLiveVersion('accepted-fixes');
+  const liveVersion = useLiveVersion('review', 'suppressions');
+  const listQuery = new URLSearchParams({
+    file: decoded,
+    sev: filter === 'all' ? '' : filter,
+    dismissed: showSuppressed ? '1' : '',
+  }).toString();
 
-  // Load accepted fixes on mount
+  useEffect(() => {
+    let cancelled = false;
+    fetchIssues({ file: decoded }, 0, 0)
+      .then((result) => !cancelled && setStats(result))
+      .catch(() => !cancelled && setStats(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [decoded, data, liveVersion]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadingMore.current = false;
+    fetchIssues(Object.fromEntries(new URLSearchParams(listQuery)), 0, PAGE_SIZE)
+      .then((page) => !cancelled && setList({ query: listQuery, total: page.total, issues: page.issues }))
+      .catch(() => !cancelled && setList(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [listQuery, data, liveVersion]);
+
+  const loadMore = useCallback(() => {
+    if (!list || loadingMore.current || list.issues.length >= list.total) return;
+    loadingMore.current = true;
+    fetchIssues(Object.fromEntries(new URLSearchParams(list.query)), list.issues.length, PAGE_SIZE)
+      .then((page) =>
+        setList((prev) => (prev === list ? { ...prev, issues: [...prev.issues, ...page.issues] } : prev))
+      )
+      .catch(() => {})
+      .finally(() => {
+        loadingMore.current = false;
+      });
+  }, [list]);
+
+  // Load accepted fixes on mount — fingerprints already encode the file
   useEffect(() => {
     fetchAcceptedFixes().then((result) => {
       if (result.fixes) {
-        const accepted = new Set(
-          result.fixes
-            .filter((f) => f.file === decoded || (!f.file && data.files.length === 1))
-            .map((f) => `${f.title}|||${f.location || ''}`)
-        );
-        const applied = new Set(
-          result.fixes
-            .filter((f) => f.applied && (f.file === decoded || (!f.file && data.files.length === 1)))
-            .map((f) => `${f.title}|||${f.location || ''}`)
-        );
-        setAcceptedKeys(accepted);
-        setAppliedKeys(applied);
+        const issueKeys = new Set(fileData?.issues.map((i) => i.fingerprint));
+        const ours = result.fixes.filter((f) => issueKeys.has(f.fingerprint));
+        setAcceptedKeys(new Set(ours.map((f) => f.fingerprint)));
+        setAppliedKeys(new Set(ours.filter((f) => f.applied).map((f) => f.fingerprint)));
+        setAcceptedFixes(Object.fromEntries(ours.map((f) => [f.fingerprint, f])));
       }
     }).catch(() => {});
-  }, [decoded, data.files.length]);
+  }, [fileData, fixesVersion]);
 
-  const handleAccepted = useCallback((issue) => {
+  useEffect(() => {
+    if (!fileData) return;
+    fetchBlame(fileData.file)
+      .then((result) => setBlame(result?.issues || {}))
+      .catch(() => setBlame({}));
+  }, [fileData]);
+
+  const handleAccepted = useCallback((issue, fix) => {
     setAcceptedKeys((prev) => {
       const next = new Set(prev);
-      next.add(`${issue.title}|||${issue.location || ''}`);
+      next.add(issue.fingerprint);
       return next;
     });
+    if (fix) setAcceptedFixes((prev) => ({ ...prev, [issue.fingerprint]: fix }));
+  }, []);
+
+  const handleBulkAccepted = useCallback((fixes) => {
+    setAcceptedKeys((prev) => new Set([...prev, ...fixes.map((f) => f.fingerprint)]));
+    setAcceptedFixes((prev) => ({ ...prev, ...Object.fromEntries(fixes.map((f) => [f.fingerprint, f])) }));
+  }, []);
+
+  const handleUnaccepted = useCallback((issue) => {
+    setAcceptedKeys((prev) => {
+      const next = new Set(prev);
+      next.delete(issue.fingerprint);
+      return next;
+    });
+    setAcceptedFixes((prev) => {
+      const next = { ...prev };
+      delete next[issue.fingerprint];
+      return next;
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!targetIssue || !fileData) return;
+    if (fileData.issues.find((i) => i.fingerprint === targetIssue)?.suppressed) setShowSuppressed(true);
+    setFilter('all');
+    scrolledTo.current = null;
+  }, [targetIssue, fileData]);
+
+  // Load pages until the target issue's card exists, then scroll to it once
+  useEffect(() => {
+    if (!targetIssue || !list || list.query !== listQuery || scrolledTo.current === targetIssue) return;
+    if (!list.issues.some((i) => i.fingerprint === targetIssue)) {
+      loadMore();
+      return;
+    }
+    scrolledTo.current = targetIssue;
+    requestAnimationFrame(() => {
+      document.getElementById(`issue-${targetIssue}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+  }, [targetIssue, list, listQuery, loadMore]);
+
+  // A highlighted line in the source view jumps to its issue card
+  const handleSelectIssue = useCallback((fingerprint) => {
+    setSearchParams({ issue: fingerprint });
+    const card = document.getElementById(`issue-${fingerprint}`);
+    if (!card) return;
+    scrolledTo.current = fingerprint;
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [setSearchParams]);
+
+  const handleSuppressionChange = useCallback((issue, suppression) => {
+    setSuppressionOverrides((prev) => ({ ...prev, [issue.fingerprint]: suppression }));
   }, []);
 
   if (!fileData) {
@@ -67,15 +179,22 @@ export default function FileDetailPage({ data, projectProps }) {
     );
   }
 
-  const counts = countIssues([fileData]);
-  const total = fileData.issues.length;
-  const sorted = [...fileData.issues].sort(
-    (a, b) => (SEVERITY_ORDER[a.severity] ?? 4) - (SEVERITY_ORDER[b.severity] ?? 4)
-  );
-  const filtered =
-    filter === 'all' ? sorted : sorted.filter((i) => i.severity === filter);
+  const withOverrides = (issues) =>
+    issues.map((i) =>
+      i.fingerprint in suppressionOverrides
+        ? { ...i, suppressed: suppressionOverrides[i.fingerprint] }
+        : i
+    );
+  const counts = stats?.counts || EMPTY_ISSUE_COUNTS;
+  const total = stats?.total ?? 0;
+  const suppressedCount = stats?.dismissedTotal ?? 0;
+  // Loaded issues, in the server's severity order; dismissing one here hides it at once
+  const loaded = withOverrides(list?.issues || []);
+  const shown = showSuppressed ? loaded : activeIssues(loaded);
+  const remaining = list ? list.total - list.issues.length : 0;
 
   const acceptedCount = acceptedKeys.size;
+  const editedCount = Object.values(acceptedFixes).filter((f) => f.edited).length;
 
   return (
     <>
@@ -88,13 +207,13 @@ export default function FileDetailPage({ data, projectProps }) {
         <SummaryBanner
           title={fileData.file}
           summary={fileData.summary || ''}
-          counts={counts}
+          counts={counts.severity}
         />
-        <StatsGrid counts={counts} />
+        <StatsGrid counts={counts.severity} />
 
         <div className="charts-row">
-          <SeverityChart counts={counts} />
-          <CategoryChart issues={fileData.issues} />
+          <SeverityChart counts={counts.severity} />
+          <CategoryChart counts={counts.category} />
         </div>
 
         <div className="section-header">
@@ -106,30 +225,77 @@ export default function FileDetailPage({ data, projectProps }) {
 
         <FilterBar active={filter} onChange={setFilter} />
 
+        <BulkAccept
+          files={[fileData.file]}
+          categories={Object.keys(counts.category).filter((c) => c !== UNCATEGORIZED)}
+          initialSeverities={filter === 'all' ? [] : [filter]}
+          onAccepted={handleBulkAccepted}
+        />
+
+        {suppressedCount > 0 && (
+          <label className="suppressed-toggle">
+            <input
+              type="checkbox"
+              checked={showSuppressed}
+              onChange={(e) => setShowSuppressed(e.target.checked)}
+            />
+            Show {suppressedCount} dismissed issue{suppressedCount !== 1 ? 's' : ''}
+          </label>
+        )}
+
         {acceptedCount > 0 && (
           <div className="apply-bar">
             <div>
               <span className="accepted-count">{acceptedCount}</span> fixes
               accepted
+              {editedCount > 0 && <> ({editedCount} hand-edited)</>}
             </div>
             <div className="apply-info">
               Run the <strong>xpp-fix-applier</strong> agent to apply accepted
-              fixes to source files
+              fixes to source files, or manage them in the <Link to="/fixes">Fix Queue</Link>
             </div>
           </div>
         )}
 
-        {filtered.map((issue, idx) => (
+        {shown.map((issue) => (
           <IssueCard
-            key={`${issue.title}-${issue.location}-${idx}`}
+            key={issue.fingerprint}
             issue={issue}
             fileName={fileData.file}
-            isAccepted={acceptedKeys.has(`${issue.title}|||${issue.location || ''}`)}
-            appliedStatus={appliedKeys.has(`${issue.title}|||${issue.location || ''}`) ? 'applied' : null}
+            isAccepted={acceptedKeys.has(issue.fingerprint)}
+            acceptedFix={acceptedFixes[issue.fingerprint]}
+            appliedStatus={appliedKeys.has(issue.fingerprint) ? 'applied' : null}
+            highlighted={issue.fingerprint === targetIssue}
+            blame={blame[issue.fingerprint]}
             onAccepted={handleAccepted}
+            onUnaccepted={handleUnaccepted}
+            onSuppressionChange={handleSuppressionChange}
           />
         ))}
 
+        {remaining > 0 && (
+          <div className="issues-more">
+            <button className="filter-btn" onClick={loadMore}>
+              Show {Math.min(remaining, PAGE_SIZE)} more of {remaining} remaining
+            </button>
+          </div>
+        )}
+
+        <div className="section-header">
+          <h2>Source</h2>
+          <button className="filter-btn" onClick={() => setShowSource(!showSource)}>
+            {showSource ? 'Hide source' : '📄 Show X++ source'}
+          </button>
+        </div>
+
+        {showSource && (
+          <SourceView
+            fileName={fileData.file}
+            issues={activeIssues(withOverrides(fileData.issues))}
+            onSelectIssue={handleSelectIssue}
+          />
+        )}
+
         {fileData.strengths?.length > 0 && (
           <>
             <div className="section-header">
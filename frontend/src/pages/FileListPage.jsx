@@ -1,14 +1,59 @@
+import { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import Header from '../components/Header';
+import NavTabs from '../components/NavTabs';
 import StatsGrid from '../components/StatsGrid';
 import SummaryBanner from '../components/SummaryBanner';
+import ValidationPanel from '../components/ValidationPanel';
+import BulkAccept from '../components/BulkAccept';
 import { SeverityChart, CategoryChart } from '../components/Charts';
-import { countIssues, fileIcon } from '../utils';
+import { EMPTY_ISSUE_COUNTS, UNCATEGORIZED, fileIcon, reviewIssueTotal } from '../utils';
+import { fetchIssues } from '../api';
+import { useLiveVersion } from '../live';
 
-export default function FileListPage({ data, projectProps }) {
-  const allCounts = countIssues(data.files);
-  const totalIssues = data.files.reduce((s, f) => s + f.issues.length, 0);
-  const allIssues = data.files.flatMap((f) => f.issues);
+export default function FileListPage({ data, validation, projectProps }) {
+  // Counts come from /api/issues, which leaves dismissed issues out
+  const [stats, setStats] = useState(null);
+  // Issues per author from git blame — blaming every file is slow, so only fetched when the filter is opened
+  const [authorCounts, setAuthorCounts] = useState(null);
+  const [author, setAuthor] = useState('');
+  const [authorStats, setAuthorStats] = useState(null);
+  const liveVersion = useLiveVersion('review', 'suppressions');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchIssues({}, 0, 0)
+      .then((result) => !cancelled && setStats(result))
+      .catch(() => !cancelled && setStats(null));
+    return () => {
+      cancelled = true;
+    };
+  }, [data, liveVersion]);
+
+  const loadAuthors = useCallback(() => {
+    fetchIssues({ authors: 1 }, 0, 0)
+      .then((result) => setAuthorCounts(result.counts.author || {}))
+      .catch(() => setAuthorCounts({}));
+  }, []);
+
+  // With an author selected, each file shows only the issues in code that author last changed
+  useEffect(() => {
+    let cancelled = false;
+    if (author) {
+      fetchIssues({ author }, 0, 0)
+        .then((result) => !cancelled && setAuthorStats({ author, counts: result.counts }))
+        .catch(() => !cancelled && setAuthor(''));
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [author, data, liveVersion]);
+
+  const counts = stats?.counts || EMPTY_ISSUE_COUNTS;
+  const totalIssues = reviewIssueTotal(data);
+  const authors = Object.keys(authorCounts || {}).sort((a, b) => authorCounts[b] - authorCounts[a] || a.localeCompare(b));
+  const shownCounts = !author ? counts : authorStats?.author === author ? authorStats.counts : EMPTY_ISSUE_COUNTS;
+  const shownFiles = author ? data.files.filter((f) => shownCounts.file[f.file]) : data.files;
 
   const fileLabel = `${data.files.length} file${data.files.length !== 1 ? 's' : ''} reviewed`;
   const branchInfo =
@@ -26,35 +71,47 @@ export default function FileListPage({ data, projectProps }) {
         projectProps={projectProps}
       />
       <div className="container">
-        {data.mode === 'branch-diff' && (
-          <div className="nav-tabs">
-            <span className="nav-tab active">📊 Review</span>
-            <Link to="/changes" className="nav-tab">📝 Changes</Link>
-          </div>
-        )}
+        <NavTabs active="review" mode={data.mode} />
+        {validation && !validation.valid && <ValidationPanel validation={validation} />}
         <SummaryBanner
           title="Review Summary"
           summary={data.summary || ''}
-          counts={allCounts}
+          counts={counts.severity}
         />
-        <StatsGrid counts={allCounts} />
+        <StatsGrid counts={counts.severity} />
 
         <div className="charts-row">
-          <SeverityChart counts={allCounts} />
-          <CategoryChart issues={allIssues} />
+          <SeverityChart counts={counts.severity} />
+          <CategoryChart counts={counts.category} />
         </div>
 
         <div className="section-header">
           <h2>Reviewed Files</h2>
+          <label className="author-filter">
+            Last changed by
+            <select value={author} onFocus={loadAuthors} onChange={(e) => setAuthor(e.target.value)}>
+              <option value="">Anyone</option>
+              {authorCounts === null && <option disabled>Loading authors...</option>}
+              {authorCounts && authors.length === 0 && <option disabled>No git blame available</option>}
+              {authors.map((name) => (
+                <option key={name} value={name}>
+                  {name} ({authorCounts[name]})
+                </option>
+              ))}
+            </select>
+          </label>
           <span className="badge">
-            {data.files.length} file{data.files.length !== 1 ? 's' : ''}
+            {author ? `${shownFiles.length} of ${data.files.length}` : data.files.length} file
+            {data.files.length !== 1 ? 's' : ''}
           </span>
         </div>
 
+        <BulkAccept categories={Object.keys(counts.category).filter((c) => c !== UNCATEGORIZED)} />
+
         <div className="file-grid">
-          {data.files.map((f) => {
-            const fc = countIssues([f]);
-            const total = f.issues.length;
+          {shownFiles.map((f) => {
+            const fc = shownCounts.fileSeverity[f.file] || EMPTY_ISSUE_COUNTS.severity;
+            const total = shownCounts.file[f.file] || 0;
             return (
               <Link
                 key={f.file}
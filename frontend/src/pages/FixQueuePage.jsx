@@ -0,0 +1,221 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Header from '../components/Header';
+import NavTabs from '../components/NavTabs';
+import FixPreview from '../components/FixPreview';
+import {
+  fetchAcceptedFixes,
+  unacceptFix,
+  deleteAcceptedFix,
+  reorderAcceptedFixes,
+  removeAppliedFixes,
+} from '../api';
+import { useLiveVersion } from '../live';
+import { reviewIssueTotal } from '../utils';
+
+const FILTERS = [
+  { key: 'all', label: 'All' },
+  { key: 'pending', label: 'Pending' },
+  { key: 'applied', label: 'Applied' },
+];
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : '—';
+}
+
+export default function FixQueuePage({ data, projectProps }) {
+  const [fixes, setFixes] = useState(null);
+  const [filter, setFilter] = useState('all');
+  const [showPreview, setShowPreview] = useState(false);
+  const [error, setError] = useState('');
+  const fixesVersion = useLiveVersion('accepted-fixes');
+
+  const load = () =>
+    fetchAcceptedFixes()
+      .then((result) => setFixes(result.fixes || []))
+      .catch(() => setFixes([]));
+
+  useEffect(() => {
+    load();
+  }, [fixesVersion]);
+
+  const totalIssues = reviewIssueTotal(data);
+  const inReview = new Set(data.files.flatMap((f) => f.issues.map((i) => i.fingerprint)));
+  const pending = fixes ? fixes.filter((f) => !f.applied) : [];
+  const appliedCount = fixes ? fixes.length - pending.length : 0;
+  const visible = fixes
+    ? fixes.filter((f) => filter === 'all' || (filter === 'applied') === Boolean(f.applied))
+    : [];
+
+  // Swap with the neighbouring visible fix; the order applies to the whole queue
+  const move = async (fix, delta) => {
+    const target = visible[visible.indexOf(fix) + delta];
+    if (!target) return;
+    const next = [...fixes];
+    const a = next.indexOf(fix);
+    const b = next.indexOf(target);
+    [next[a], next[b]] = [next[b], next[a]];
+    setFixes(next);
+    setError('');
+    try {
+      await reorderAcceptedFixes(next.map((f) => f.fingerprint));
+    } catch (err) {
+      setError(err.message);
+      load();
+    }
+  };
+
+  const remove = async (fix) => {
+    setError('');
+    try {
+      if (fix.applied) await deleteAcceptedFix(fix.fingerprint);
+      else await unacceptFix(fix.fingerprint);
+      setFixes((prev) => prev.filter((f) => f.fingerprint !== fix.fingerprint));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemoveApplied = async () => {
+    setError('');
+    try {
+      await removeAppliedFixes();
+      load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const label = fixes ? `${fixes.length} accepted fix${fixes.length !== 1 ? 'es' : ''}` : 'Loading fixes...';
+
+  return (
+    <>
+      <Header fileLabel={label} date={data.date} totalIssues={totalIssues} projectProps={projectProps} />
+      <div className="container">
+        <NavTabs active="fixes" mode={data.mode} />
+
+        {!fixes ? (
+          <div className="loading">Loading accepted fixes...</div>
+        ) : fixes.length === 0 ? (
+          <div className="empty-state">
+            <h2>No Accepted Fixes</h2>
+            <p>
+              Accept fixes on the issue cards of a file to queue them here. The{' '}
+              <strong>xpp-fix-applier</strong> agent works through the queue from top to bottom.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="stats-grid">
+              <div className="stat-card">
+                <div className="count">{fixes.length}</div>
+                <div className="label">Accepted</div>
+              </div>
+              <div className="stat-card medium">
+                <div className="count">{pending.length}</div>
+                <div className="label">Pending</div>
+              </div>
+              <div className="stat-card passed">
+                <div className="count">{appliedCount}</div>
+                <div className="label">Applied</div>
+              </div>
+              <div className="stat-card low">
+                <div className="count">{fixes.filter((f) => f.edited).length}</div>
+                <div className="label">Hand-edited</div>
+              </div>
+            </div>
+
+            <div className="filter-bar">
+              {FILTERS.map((f) => (
+                <button
+                  key={f.key}
+                  className={`filter-btn${filter === f.key ? ' active' : ''}`}
+                  onClick={() => setFilter(f.key)}
+                >
+                  {f.label}
+                </button>
+              ))}
+              <span className="filter-sep" />
+              {pending.length > 0 && (
+                <button className="filter-btn" onClick={() => setShowPreview(!showPreview)}>
+                  {showPreview ? 'Hide preview' : `⇄ Preview & apply ${pending.length} pending`}
+                </button>
+              )}
+              {appliedCount > 0 && (
+                <button className="filter-btn" onClick={handleRemoveApplied}>
+                  Remove {appliedCount} applied
+                </button>
+              )}
+            </div>
+
+            {error && <div className="build-parse-error queue-error">{error}</div>}
+
+            {showPreview && pending.length > 0 && (
+              <FixPreview
+                fingerprints={pending.map((f) => f.fingerprint)}
+                onApplied={() => load()}
+                onClose={() => setShowPreview(false)}
+              />
+            )}
+
+            <div className="history-table-wrap">
+              <table className="history-table queue-table">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Issue</th>
+                    <th>Severity</th>
+                    <th>Accepted</th>
+                    <th>Status</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {visible.map((fix, i) => (
+                    <tr key={fix.fingerprint} className={fix.applied ? 'queue-applied' : ''}>
+                      <td className="queue-order">
+                        <span>{fixes.indexOf(fix) + 1}</span>
+                        <button disabled={i === 0} onClick={() => move(fix, -1)} title="Move up">▲</button>
+                        <button disabled={i === visible.length - 1} onClick={() => move(fix, 1)} title="Move down">
+                          ▼
+                        </button>
+                      </td>
+                      <td>
+                        <Link
+                          to={`/file/${encodeURIComponent(fix.file)}?issue=${encodeURIComponent(fix.fingerprint)}`}
+                          className="queue-title"
+                        >
+                          {fix.title}
+                        </Link>
+                        <div className="queue-meta">
+                          {fix.file}
+                          {fix.location && <> · {fix.location}</>}
+                          {fix.edited && <span className="edited-badge">✎ Edited</span>}
+                          {!inReview.has(fix.fingerprint) && (
+                            <span className="queue-stale" title="The current review no longer reports this issue">
+                              not in current review
+                            </span>
+                          )}
+                        </div>
+                      </td>
+                      <td>
+                        <span className={`severity-badge ${fix.severity}`}>{fix.severity || '—'}</span>
+                      </td>
+                      <td>{formatDate(fix.acceptedAt)}</td>
+                      <td>{fix.applied ? <>✅ Applied {formatDate(fix.appliedAt)}</> : 'Pending'}</td>
+                      <td>
+                        <button className="dismiss-btn" onClick={() => remove(fix)}>
+                          {fix.applied ? '🗑 Delete' : '↺ Un-accept'}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </>
+  );
+}
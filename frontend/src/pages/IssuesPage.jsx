@@ -0,0 +1,232 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import Header from '../components/Header';
+import NavTabs from '../components/NavTabs';
+import VirtualList from '../components/VirtualList';
+import { fetchIssues } from '../api';
+import { useLiveVersion } from '../live';
+import {
+  SEVERITIES,
+  STATES,
+  SORTS,
+  parseIssueFilters,
+  issueFilterParams,
+  hasIssueFilters,
+} from '../issueFilters';
+import { reviewIssueTotal } from '../utils';
+
+const PAGE_SIZE = 100;
+const ROW_HEIGHT = 66;
+
+const rowsOf = (page) => Object.fromEntries(page.issues.map((issue, i) => [page.offset + i, issue]));
+
+// Every issue of the review in one list, filtered by the query in the URL.
+// Filtering, sorting and counting happen in /api/issues; rows are fetched a page at a time as they scroll into view.
+export default function IssuesPage({ data, projectProps }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = parseIssueFilters(searchParams);
+  const queryString = new URLSearchParams(issueFilterParams(filters)).toString();
+  const [query, setQuery] = useState(filters.q);
+  // { key, query, total, counts, reviewTotal, rows: { index: issue } } for the current query
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+  const loadedPages = useRef(new Set());
+  const liveVersion = useLiveVersion('review', 'accepted-fixes', 'suppressions');
+
+  // First page and the counts, whenever the query or the data behind it changes
+  useEffect(() => {
+    let cancelled = false;
+    const key = `${queryString}#${liveVersion}`;
+    fetchIssues(Object.fromEntries(new URLSearchParams(queryString)), 0, PAGE_SIZE)
+      .then((page) => {
+        if (cancelled) return;
+        loadedPages.current = new Set([0]);
+        setError('');
+        setResult({ key, query: queryString, total: page.total, counts: page.counts, reviewTotal: page.reviewTotal, rows: rowsOf(page) });
+      })
+      .catch((err) => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [queryString, liveVersion]);
+
+  // Rows load into the result they were requested for; a page that arrives after the query changed is dropped
+  const loadRange = useCallback(
+    (start, end) => {
+      if (!result) return;
+      for (let offset = Math.floor(start / PAGE_SIZE) * PAGE_SIZE; offset < end; offset += PAGE_SIZE) {
+        if (loadedPages.current.has(offset)) continue;
+        loadedPages.current.add(offset);
+        fetchIssues(Object.fromEntries(new URLSearchParams(result.query)), offset, PAGE_SIZE)
+          .then((page) =>
+            setResult((prev) => (prev?.key === result.key ? { ...prev, rows: { ...prev.rows, ...rowsOf(page) } } : prev))
+          )
+          .catch(() => loadedPages.current.delete(offset));
+      }
+    },
+    [result]
+  );
+
+  // Keep the search box in step with back/forward navigation
+  useEffect(() => {
+    setQuery(filters.q);
+  }, [filters.q]);
+
+  // Typing updates the URL after a pause, replacing the history entry rather than adding one per key
+  useEffect(() => {
+    if (query === filters.q) return;
+    const timer = setTimeout(() => update({ q: query.trim() }, true), 300);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const update = (changes, replace = false) => {
+    setSearchParams(issueFilterParams({ ...filters, ...changes }), { replace });
+  };
+  const toggle = (key, value) =>
+    update({ [key]: filters[key].includes(value) ? filters[key].filter((v) => v !== value) : [...filters[key], value] });
+
+  const copyLink = () => {
+    navigator.clipboard?.writeText(window.location.href).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    });
+  };
+
+  const renderRow = (index) => {
+    const issue = result.rows[index];
+    if (!issue) return <div className="issue-row placeholder">Loading...</div>;
+    return (
+      <Link
+        to={`/file/${encodeURIComponent(issue.file)}?issue=${encodeURIComponent(issue.fingerprint)}`}
+        className={`issue-row${issue.suppressed ? ' suppressed' : ''}`}
+      >
+        <span className={`severity-badge ${issue.severity}`}>{issue.severity}</span>
+        <span className="issue-row-main">
+          <span className="issue-row-title">{issue.title}</span>
+          <span className="issue-row-meta">
+            {issue.file}
+            {issue.location && <> · {issue.location}</>}
+            {issue.category && <> · {issue.category}</>}
+          </span>
+        </span>
+        {issue.fixState !== 'open' && (
+          <span className={`issue-row-state ${issue.fixState}`}>
+            {issue.fixState === 'applied' ? '✅ Applied' : '✓ Accepted'}
+          </span>
+        )}
+        {issue.suppressed && <span className="issue-row-state">Dismissed</span>}
+      </Link>
+    );
+  };
+
+  // Dropdown options come from the whole review so adding a filter never hides the others
+  const categories = [...new Set(data.files.flatMap((f) => f.issues.map((i) => i.category)).filter(Boolean))].sort();
+  const total = result?.total ?? 0;
+  const fileCount = result ? Object.keys(result.counts.file).length : 0;
+
+  return (
+    <>
+      <Header
+        fileLabel={result ? `${total} matching issue${total !== 1 ? 's' : ''}` : 'Loading issues...'}
+        date={data.date}
+        totalIssues={reviewIssueTotal(data)}
+        projectProps={projectProps}
+      />
+      <div className="container">
+        <NavTabs active="issues" mode={data.mode} />
+
+        <div className="issue-filters">
+          <input
+            type="search"
+            className="issue-search"
+            placeholder="Search title, description and code..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <div className="filter-bar">
+            {SEVERITIES.map((sev) => (
+              <button
+                key={sev}
+                className={`filter-btn${filters.severities.includes(sev) ? ' active' : ''}`}
+                onClick={() => toggle('severities', sev)}
+              >
+                {sev}
+              </button>
+            ))}
+            <span className="filter-sep" />
+            {STATES.map((s) => (
+              <button
+                key={s.key}
+                className={`filter-btn${filters.state === s.key ? ' active' : ''}`}
+                onClick={() => update({ state: s.key })}
+              >
+                {s.label}
+              </button>
+            ))}
+          </div>
+          <div className="issue-filter-row">
+            <select value="" onChange={(e) => e.target.value && toggle('categories', e.target.value)}>
+              <option value="">+ Category</option>
+              {categories.filter((c) => !filters.categories.includes(c)).map((c) => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+            <select value="" onChange={(e) => e.target.value && toggle('files', e.target.value)}>
+              <option value="">+ File</option>
+              {data.files.filter((f) => !filters.files.includes(f.file)).map((f) => (
+                <option key={f.file} value={f.file}>{f.file}</option>
+              ))}
+            </select>
+            {[...filters.categories.map((c) => ['categories', c]), ...filters.files.map((f) => ['files', f])].map(([key, value]) => (
+              <button key={`${key}:${value}`} className="filter-chip" onClick={() => toggle(key, value)} title="Remove filter">
+                {value} ✕
+              </button>
+            ))}
+            <label className="suppressed-toggle">
+              <input type="checkbox" checked={filters.dismissed} onChange={(e) => update({ dismissed: e.target.checked })} />
+              Include dismissed
+            </label>
+            <span className="issue-filter-actions">
+              <select value={filters.sort} onChange={(e) => update({ sort: e.target.value })}>
+                {SORTS.map((s) => (
+                  <option key={s.key} value={s.key}>Sort by {s.label.toLowerCase()}</option>
+                ))}
+              </select>
+              <button className="filter-btn" onClick={() => update({ desc: !filters.desc })} title="Reverse order">
+                {filters.desc ? '↑' : '↓'}
+              </button>
+              {hasIssueFilters(filters) && (
+                <button className="dismiss-cancel" onClick={() => setSearchParams({})}>Clear filters</button>
+              )}
+              <button className="filter-btn" onClick={copyLink}>{copied ? '✓ Copied' : '🔗 Copy link'}</button>
+            </span>
+          </div>
+        </div>
+
+        {error && <div className="build-parse-error queue-error">{error}</div>}
+
+        {!result ? (
+          !error && <div className="loading">Loading issues...</div>
+        ) : total === 0 ? (
+          <div className="empty-state">
+            <h2>No Matching Issues</h2>
+            <p>No issue in the review matches these filters.</p>
+          </div>
+        ) : (
+          <>
+            <div className="issue-count-summary">
+              {total} issue{total !== 1 ? 's' : ''} in {fileCount} file{fileCount !== 1 ? 's' : ''}
+              {SEVERITIES.filter((sev) => result.counts.severity[sev] > 0).map((sev) => (
+                <span key={sev} className={`file-stat ${sev}`}>
+                  {result.counts.severity[sev]} {sev}
+                </span>
+              ))}
+            </div>
+            <VirtualList count={total} rowHeight={ROW_HEIGHT} renderRow={renderRow} onVisibleRange={loadRange} />
+          </>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react';
+import Header from '../components/Header';
+import NavTabs from '../components/NavTabs';
+import { fetchTestResults } from '../api';
+import { useLiveVersion } from '../live';
+import { reviewIssueTotal } from '../utils';
+
+const FILTERS = [
+  { key: 'all', label: 'All', icon: '' },
+  { key: 'failed', label: 'Failed', icon: '❌ ' },
+  { key: 'skipped', label: 'Skipped', icon: '⏭️ ' },
+  { key: 'passed', label: 'Passed', icon: '✅ ' },
+];
+
+const STATUS_ICONS = { passed: '✅', failed: '❌', skipped: '⏭️' };
+
+function formatDuration(ms) {
+  if (ms == null) return '';
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`;
+}
+
+export default function TestsPage({ data, projectProps }) {
+  const [results, setResults] = useState(undefined);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState('all');
+  const testsVersion = useLiveVersion('tests');
+
+  useEffect(() => {
+    fetchTestResults()
+      .then((r) => {
+        setResults(r);
+        setError(null);
+      })
+      .catch((err) => setError(err.message));
+  }, [testsVersion]);
+
+  const totalIssues = reviewIssueTotal(data);
+  const classes = results
+    ? results.classes
+        .map((c) => ({ ...c, tests: c.tests.filter((t) => filter === 'all' || t.status === filter) }))
+        .filter((c) => c.tests.length > 0)
+    : [];
+
+  let label = 'Loading tests...';
+  if (error) label = 'Test results unreadable';
+  else if (results === null) label = 'No test results';
+  else if (results) label = `${results.totals.total} test${results.totals.total !== 1 ? 's' : ''} run`;
+
+  return (
+    <>
+      <Header fileLabel={label} date={data.date} totalIssues={totalIssues} projectProps={projectProps} />
+      <div className="container">
+        <NavTabs active="tests" mode={data.mode} />
+
+        {error ? (
+          <div className="empty-state">
+            <h2>Test Results Unreadable</h2>
+            <p>{error}</p>
+          </div>
+        ) : results === undefined ? (
+          <div className="loading">Loading test results...</div>
+        ) : results === null ? (
+          <div className="empty-state">
+            <h2>No Test Results</h2>
+            <p>
+              No <code>test-results.xml</code> found. Run <code>scripts/Run-XppTests.ps1</code> or ask the{' '}
+              <strong>xpp-test-writer</strong> agent to write and run tests.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className={`summary-banner${results.totals.failed > 0 ? '' : results.totals.skipped > 0 ? ' warn' : ' pass'}`}>
+              <h2>{results.totals.failed > 0 ? 'Tests Failing' : 'All Tests Passing'}</h2>
+              <p>
+                {results.totals.passed} passed, {results.totals.failed} failed, {results.totals.skipped} skipped
+                {' · '}{formatDuration(results.totals.durationMs)}
+                {' · '}run {new Date(results.modifiedAt).toLocaleString()}
+              </p>
+            </div>
+
+            <div className="stats-grid">
+              <div className="stat-card">
+                <div className="count">{results.totals.total}</div>
+                <div className="label">Total</div>
+              </div>
+              <div className="stat-card critical">
+                <div className="count">{results.totals.failed}</div>
+                <div className="label">Failed</div>
+              </div>
+              <div className="stat-card medium">
+                <div className="count">{results.totals.skipped}</div>
+                <div className="label">Skipped</div>
+              </div>
+              <div className="stat-card passed">
+                <div className="count">{results.totals.passed}</div>
+                <div className="label">Passed</div>
+              </div>
+            </div>
+
+            <div className="filter-bar">
+              {FILTERS.map((f) => (
+                <button
+                  key={f.key}
+                  className={`filter-btn${filter === f.key ? ' active' : ''}`}
+                  onClick={() => setFilter(f.key)}
+                >
+                  {f.icon}{f.label}
+                </button>
+              ))}
+            </div>
+
+            {classes.length === 0 ? (
+              <div className="empty-state">
+                <p>No {filter} tests.</p>
+              </div>
+            ) : (
+              classes.map((c) => <TestClassBlock key={c.name} testClass={c} />)
+            )}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+function TestClassBlock({ testClass }) {
+  const [collapsed, setCollapsed] = useState(testClass.failed === 0);
+
+  return (
+    <div className="build-model">
+      <div className="build-model-header test-class-header" onClick={() => setCollapsed(!collapsed)}>
+        <span className="diff-collapse-icon">{collapsed ? '▶' : '▼'}</span>
+        <span className={`build-status ${testClass.failed > 0 ? 'failed' : 'ok'}`}>
+          {testClass.failed > 0 ? 'FAILED' : 'PASSED'}
+        </span>
+        <span className="build-model-name">{testClass.name}</span>
+        <span className="build-model-meta">
+          {testClass.passed} passed, {testClass.failed} failed, {testClass.skipped} skipped
+          {testClass.durationMs != null && <> · {formatDuration(testClass.durationMs)}</>}
+        </span>
+      </div>
+      {!collapsed && (
+        <div className="test-list">
+          {testClass.tests.map((t) => (
+            <div key={t.name} className={`test-row ${t.status}`}>
+              <div className="test-row-main">
+                <span className="test-status">{STATUS_ICONS[t.status]}</span>
+                <span className="test-method">{t.method}</span>
+                <span className="test-duration">{formatDuration(t.durationMs)}</span>
+              </div>
+              {t.status === 'failed' && t.messages.length > 0 && (
+                <pre className="test-messages">
+                  {t.messages.map((m) => `[${m.level}] ${m.text}`).join('\n')}
+                </pre>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
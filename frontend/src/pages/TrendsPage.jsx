@@ -0,0 +1,125 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Header from '../components/Header';
+import NavTabs from '../components/NavTabs';
+import { SeverityTrendChart, CategoryTrendChart } from '../components/Charts';
+import { fetchReviewHistory } from '../api';
+import { reviewIssueTotal } from '../utils';
+
+export default function TrendsPage({ data, projectProps }) {
+  const [reviews, setReviews] = useState(null);
+
+  useEffect(() => {
+    fetchReviewHistory()
+      .then((result) => setReviews(result.reviews || []))
+      .catch(() => setReviews([]));
+  }, [data]);
+
+  const totalIssues = reviewIssueTotal(data);
+  const label = reviews
+    ? `${reviews.length} review${reviews.length !== 1 ? 's' : ''} archived`
+    : 'Loading history...';
+
+  return (
+    <>
+      <Header fileLabel={label} date={data.date} totalIssues={totalIssues} projectProps={projectProps} />
+      <div className="container">
+        <NavTabs active="trends" mode={data.mode} />
+
+        {!reviews ? (
+          <div className="loading">Loading review history...</div>
+        ) : reviews.length < 2 ? (
+          <div className="empty-state">
+            <h2>Not Enough History</h2>
+            <p>
+              Trends appear once at least two reviews have been archived. Each new{' '}
+              <code>code-review-result.json</code> written by the{' '}
+              <strong>xpp-code-reviewer</strong> agent is added to the history automatically.
+            </p>
+          </div>
+        ) : (
+          <div className="charts-row">
+            <SeverityTrendChart reviews={reviews} />
+            <CategoryTrendChart reviews={reviews} />
+          </div>
+        )}
+
+        {reviews?.length > 0 && (
+          <>
+            <div className="section-header">
+              <h2>Review History</h2>
+              <span className="badge">
+                {reviews.length} run{reviews.length !== 1 ? 's' : ''}
+              </span>
+            </div>
+            <HistoryTable reviews={reviews} />
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+function HistoryTable({ reviews }) {
+  // Newest first, with the change in total issues relative to the previous run
+  const rows = reviews.map((r, i) => ({
+    ...r,
+    previousId: i > 0 ? reviews[i - 1].id : null,
+    delta: i > 0 ? r.totalIssues - reviews[i - 1].totalIssues : null,
+  })).reverse();
+
+  return (
+    <div className="history-table-wrap">
+      <table className="history-table">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Mode</th>
+            <th>Files</th>
+            <th>Issues</th>
+            <th>Critical</th>
+            <th>High</th>
+            <th>Medium</th>
+            <th>Low</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.id}>
+              <td>{new Date(r.date).toLocaleString()}</td>
+              <td>
+                {r.mode === 'branch-diff'
+                  ? `🌿 ${r.branch || ''} ← ${r.parentBranch || ''}`
+                  : 'Full'}
+              </td>
+              <td>{r.fileCount}</td>
+              <td>
+                {r.totalIssues}
+                {r.delta !== null && r.delta !== 0 && (
+                  <span className={`history-delta ${r.delta > 0 ? 'up' : 'down'}`}>
+                    {r.delta > 0 ? `▲${r.delta}` : `▼${-r.delta}`}
+                  </span>
+                )}
+              </td>
+              <td className="sev-critical">{r.severity.critical}</td>
+              <td className="sev-high">{r.severity.high}</td>
+              <td className="sev-medium">{r.severity.medium}</td>
+              <td className="sev-low">{r.severity.low}</td>
+              <td>
+                {r.previousId && (
+                  <Link
+                    to={`/compare?base=${encodeURIComponent(r.previousId)}&head=${encodeURIComponent(r.id)}`}
+                    className="diff-review-link"
+                  >
+                    Compare →
+                  </Link>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
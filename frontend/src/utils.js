@@ -1,11 +1,40 @@
-export function countIssues(files) {
-  const counts = { critical: 0, high: 0, medium: 0, low: 0 };
-  files.forEach((f) =>
-    f.issues.forEach((i) => {
-      if (counts[i.severity] !== undefined) counts[i.severity]++;
-    })
-  );
-  return counts;
+// The `counts` of an /api/issues result that has not loaded yet
+export const EMPTY_ISSUE_COUNTS = {
+  severity: { critical: 0, high: 0, medium: 0, low: 0 },
+  category: {},
+  file: {},
+  fileSeverity: {},
+  state: {},
+};
+
+// Category that issues without one are grouped under (UNCATEGORIZED in lib/review-schema.js)
+export const UNCATEGORIZED = 'Other';
+
+// Issues that have not been dismissed as false positive / won't fix
+export function activeIssues(issues) {
+  return issues.filter((i) => !i.suppressed);
+}
+
+// The total every page header shows: issues in the review that are not dismissed
+export function reviewIssueTotal(data) {
+  return data?.files?.reduce((s, f) => s + activeIssues(f.issues).length, 0) ?? 0;
+}
+
+// The accepted-fixes.json entry for a review issue, optionally with a hand-edited fixCode
+export function fixFromIssue(fileName, issue, fixCode = issue.fixCode) {
+  return {
+    fingerprint: issue.fingerprint,
+    file: fileName,
+    title: issue.title,
+    severity: issue.severity,
+    location: issue.location,
+    category: issue.category,
+    code: issue.code,
+    fixCode,
+    // Sent only for hand-edited fixes so both versions are kept
+    originalFixCode: fixCode !== issue.fixCode ? issue.fixCode : undefined,
+    fixDescription: issue.fixDescription,
+  };
 }
 
 export function fileIcon(fileName) {
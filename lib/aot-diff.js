@@ -0,0 +1,87 @@
+const { sourceBlocks } = require('./fix-engine');
+const { unifiedDiff } = require('./unified-diff');
+
+/**
+ * Method-level comparison of two versions of an AOT object XML, so a change
+ * to AxClass/MyClass.xml reads as "validateWrite() modified" rather than as
+ * XML lines. Each method's CDATA source is diffed as plain X++ code.
+ */
+
+// Changed AOT object files in a unified diff: paths like Model/AxClass/MyClass.xml
+const AOT_PATH = /(^|\/)Ax\w+\/[^/]+\.xml$/i;
+
+/** Paths of the files touched by a unified diff (new path, or old path for deletions). */
+function diffFilePaths(diffText) {
+    const files = [];
+    for (const m of diffText.matchAll(/^diff --git a\/(.+?) b\/(.+)$/gm)) {
+        const file = m[2] === '/dev/null' ? m[1] : m[2];
+        if (!files.includes(file)) files.push(file);
+    }
+    return files;
+}
+
+/** Paths of the AOT object XML files touched by a unified diff. */
+function changedAotFiles(diffText) {
+    return diffFilePaths(diffText).filter(file => AOT_PATH.test(file));
+}
+
+/** Declaration and method sources of an object XML as a Map of name → source. */
+function methodSources(xml) {
+    const methods = new Map();
+    for (const block of sourceBlocks(xml || '')) {
+        // X++ has no overloads, but keep both if a malformed file repeats a name
+        let name = block.name;
+        for (let n = 2; methods.has(name); n++) name = `${block.name} (${n})`;
+        methods.set(name, xml.slice(block.start, block.end));
+    }
+    return methods;
+}
+
+/** The XML without its declaration and methods, to tell whether anything besides code changed. */
+function withoutSources(xml) {
+    return xml
+        .replace(/<Declaration>[\s\S]*?<\/Declaration>/g, '')
+        .replace(/<Method>[\s\S]*?<\/Method>/g, '')
+        .replace(/>\s+</g, '><')
+        .trim();
+}
+
+function countChanges(diff) {
+    const lines = diff.split('\n');
+    return {
+        addCount: lines.filter(l => l.startsWith('+') && !l.startsWith('+++')).length,
+        removeCount: lines.filter(l => l.startsWith('-') && !l.startsWith('---')).length,
+    };
+}
+
+/**
+ * Compare two versions of an object XML ('' for a side that does not exist).
+ * Returns { methods: [{ name, status: 'added'|'removed'|'modified', diff,
+ * addCount, removeCount }], unchanged, otherChanges } — methods in the order
+ * they appear in the new file, removed ones last.
+ */
+function methodDiff(oldXml, newXml) {
+    const before = methodSources(oldXml);
+    const after = methodSources(newXml);
+    const methods = [];
+    let unchanged = 0;
+
+    const add = (name, status, oldSource, newSource) => {
+        const diff = unifiedDiff(oldSource, newSource, name);
+        methods.push({ name, status, diff, ...countChanges(diff) });
+    };
+    for (const [name, source] of after) {
+        if (!before.has(name)) add(name, 'added', '', source);
+        else if (before.get(name).replace(/\r\n/g, '\n') !== source.replace(/\r\n/g, '\n')) add(name, 'modified', before.get(name), source);
+        else unchanged++;
+    }
+    for (const [name, source] of before) {
+        if (!after.has(name)) add(name, 'removed', source, '');
+    }
+
+    // Property changes only matter when the object exists on both sides
+    const otherChanges = Boolean(oldXml && newXml) && withoutSources(oldXml) !== withoutSources(newXml);
+    return { methods, unchanged, otherChanges };
+}
+
+module.exports = { diffFilePaths, changedAotFiles, methodDiff };
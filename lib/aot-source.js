@@ -0,0 +1,65 @@
+const { sourceBlocks, locateSnippet } = require('./fix-engine');
+
+/**
+ * X++ source of an AOT object XML split into its declaration and methods,
+ * with review issues mapped onto method lines, for the dashboard's source
+ * viewer. Issues are located by their code snippet the same way fixes are
+ * applied (see locateSnippet), so a highlighted line is the line a fix edits.
+ */
+
+const lineOf = (xml, offset) => xml.slice(0, offset).split('\n').length;
+
+/**
+ * Methods of an object XML in file order: [{ name, startLine, lines }], where
+ * startLine is the 1-based XML line of lines[0]. The line break after
+ * "<![CDATA[" and trailing blank lines are left out.
+ */
+function objectMethods(xml) {
+    return sourceBlocks(xml)
+        .sort((a, b) => a.start - b.start)
+        .map(block => {
+            let start = block.start;
+            const leading = /^\r?\n/.exec(xml.slice(start, block.end));
+            if (leading) start += leading[0].length;
+            const text = xml.slice(start, block.end).replace(/\r\n/g, '\n').replace(/\s+$/, '');
+            return { name: block.name, startLine: lineOf(xml, start), lines: text.split('\n'), start, end: block.end };
+        });
+}
+
+/**
+ * Where each issue's snippet sits, by fingerprint: { method, line, endLine }
+ * with 1-based lines inside that method's `lines`, or { error } when the
+ * snippet is missing or ambiguous.
+ */
+function locateIssues(xml, methods, issues, methodOf) {
+    const located = {};
+    for (const issue of issues) {
+        const match = locateSnippet(xml, { code: issue.code, method: methodOf(issue.location) });
+        const method = match.error ? null : methods.find(m => match.start >= m.start && match.start <= m.end);
+        if (!method) {
+            located[issue.fingerprint] = { error: match.error || 'Code is outside the X++ methods' };
+            continue;
+        }
+        located[issue.fingerprint] = {
+            method: method.name,
+            line: Math.max(1, match.line - method.startLine + 1),
+            endLine: match.endLine - method.startLine + 1,
+        };
+    }
+    return located;
+}
+
+/**
+ * Source view of an object XML: { methods: [{ name, startLine, lines }],
+ * issues: { <fingerprint>: { method, line, endLine } | { error } } }.
+ * `methodOf(location)` extracts the method named in an issue location.
+ */
+function objectSource(xml, issues, methodOf) {
+    const methods = objectMethods(xml);
+    return {
+        methods: methods.map(({ name, startLine, lines }) => ({ name, startLine, lines })),
+        issues: locateIssues(xml, methods, issues, methodOf),
+    };
+}
+
+module.exports = { objectMethods, objectSource };
@@ -0,0 +1,99 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseXml, descendants, valueOf } = require('./xml');
+
+/**
+ * Readers for the xmllog files written by scripts/Build-XppSolution.ps1:
+ * `build-<model>.xml` (xppc.exe) and `bp-<model>.xml` (xppbp.exe). Both share
+ * the same schema — a flat list of <Diagnostic> elements.
+ */
+
+const LOG_PATTERN = /^(build|bp)-(.+)\.xml$/;
+
+/** Map xppc/xppbp severities onto error | warning | info. */
+function normalizeSeverity(severity) {
+    const s = (severity || '').toLowerCase();
+    if (s === 'error' || s === 'fatal') return 'error';
+    if (s === 'warning') return 'warning';
+    return 'info';
+}
+
+/**
+ * Split a diagnostic path such as "dynamics://Class/MyClass/Method/run"
+ * into the AOT element it points at.
+ */
+function parseElementPath(elementPath) {
+    const parts = (elementPath || '').replace(/^dynamics:\/\//i, '').split('/').filter(Boolean);
+    const methodPos = parts.findIndex(p => p.toLowerCase() === 'method');
+    return {
+        elementType: parts[0] || null,
+        elementName: parts[1] || null,
+        method: methodPos !== -1 ? parts[methodPos + 1] || null : null,
+    };
+}
+
+function toInt(value) {
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) ? null : n;
+}
+
+/** Parse the contents of one xmllog file into a list of diagnostics. */
+function parseDiagnosticsLog(xml) {
+    return descendants(parseXml(xml), 'Diagnostic').map(d => {
+        const diagPath = valueOf(d, 'Path') || '';
+        return {
+            severity: normalizeSeverity(valueOf(d, 'Severity')),
+            rawSeverity: valueOf(d, 'Severity') || '',
+            message: valueOf(d, 'Message') || '',
+            path: diagPath,
+            moniker: valueOf(d, 'Moniker') || null,
+            line: toInt(valueOf(d, 'Line')),
+            column: toInt(valueOf(d, 'Column')),
+            ...parseElementPath(diagPath),
+        };
+    });
+}
+
+function readLog(filePath) {
+    const stat = fs.statSync(filePath);
+    const log = { file: path.basename(filePath), modifiedAt: stat.mtime.toISOString(), errors: 0, warnings: 0, diagnostics: [] };
+    try {
+        log.diagnostics = parseDiagnosticsLog(fs.readFileSync(filePath, 'utf-8'));
+    } catch (err) {
+        log.parseError = err.message;
+    }
+    log.errors = log.diagnostics.filter(d => d.severity === 'error').length;
+    log.warnings = log.diagnostics.filter(d => d.severity === 'warning').length;
+    return log;
+}
+
+/**
+ * Collect every build-/bp- log in a project data directory, grouped by model.
+ * Returns { models: [{ model, build, bp }], totals }; `build`/`bp` are null
+ * when that log is missing (e.g. the build ran with -SkipBP).
+ */
+function loadBuildLogs(dir) {
+    const models = new Map();
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+    for (const name of files) {
+        const match = LOG_PATTERN.exec(name);
+        if (!match) continue;
+        const [, kind, model] = match;
+        if (!models.has(model)) models.set(model, { model, build: null, bp: null });
+        models.get(model)[kind] = readLog(path.join(dir, name));
+    }
+
+    const list = [...models.values()].sort((a, b) => a.model.localeCompare(b.model));
+    const sum = (kind, key) => list.reduce((s, m) => s + (m[kind] ? m[kind][key] : 0), 0);
+    return {
+        models: list,
+        totals: {
+            errors: sum('build', 'errors'),
+            warnings: sum('build', 'warnings'),
+            bpErrors: sum('bp', 'errors'),
+            bpWarnings: sum('bp', 'warnings'),
+        },
+    };
+}
+
+module.exports = { parseDiagnosticsLog, loadBuildLogs };
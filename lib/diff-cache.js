@@ -0,0 +1,129 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+/**
+ * On-disk cache of unified diffs, keyed by the commit SHAs they were computed
+ * from (plus a fingerprint of uncommitted changes when the working tree was
+ * diffed), so a diff is only recomputed when the code actually changed.
+ * Entries also remember the ref names they were requested under, which lets
+ * a review still show its diff after the branch is merged and deleted.
+ *
+ * Layout: <dir>/index.json lists the entries; each diff lives in <dir>/<key>.diff.
+ * The least recently used entries are evicted beyond MAX_ENTRIES or MAX_BYTES.
+ */
+
+const MAX_ENTRIES = 50;
+const MAX_BYTES = 100 * 1024 * 1024;
+
+const indexPath = (dir) => path.join(dir, 'index.json');
+const diffPath = (dir, key) => path.join(dir, `${key}.diff`);
+
+function loadIndex(dir) {
+    try {
+        return JSON.parse(fs.readFileSync(indexPath(dir), 'utf-8'));
+    } catch {
+        return { entries: [] };
+    }
+}
+
+function saveIndex(dir, index) {
+    fs.writeFileSync(indexPath(dir), JSON.stringify(index, null, 2), 'utf-8');
+}
+
+/** Cache key of a diff between two commits, optionally including working-tree changes. */
+function diffCacheKey(baseSha, headSha, workingTreeState = '') {
+    return crypto.createHash('sha256').update(`${baseSha}\0${headSha}\0${workingTreeState}`).digest('hex').slice(0, 32);
+}
+
+/** Read a diff and mark it as used, or null when it is not cached. */
+function readEntry(dir, index, entry) {
+    let diff;
+    try {
+        diff = fs.readFileSync(diffPath(dir, entry.key), 'utf-8');
+    } catch {
+        index.entries = index.entries.filter(e => e !== entry);
+        saveIndex(dir, index);
+        return null;
+    }
+    entry.usedAt = new Date().toISOString();
+    saveIndex(dir, index);
+    return diff;
+}
+
+/** The cached diff for `key`, or null. */
+function getCachedDiff(dir, key) {
+    const index = loadIndex(dir);
+    const entry = index.entries.find(e => e.key === key);
+    return entry ? readEntry(dir, index, entry) : null;
+}
+
+/**
+ * The most recently computed diff requested as `base`..`head`, whatever
+ * commits those refs pointed at — the fallback when git cannot resolve them.
+ */
+function findCachedDiffByRefs(dir, base, head) {
+    const index = loadIndex(dir);
+    const entry = index.entries
+        .filter(e => e.base === base && e.head === head)
+        .sort((a, b) => b.cachedAt.localeCompare(a.cachedAt))[0];
+    return entry ? readEntry(dir, index, entry) : null;
+}
+
+/**
+ * Store a diff under `key` with its refs ({ base, head, baseSha, headSha,
+ * workingTree }), then evict least recently used entries over the limits.
+ * Diffs larger than the whole cache are not stored. `cachedAt` defaults to now.
+ */
+function putCachedDiff(dir, key, refs, diff, cachedAt = new Date().toISOString()) {
+    const bytes = Buffer.byteLength(diff, 'utf-8');
+    if (bytes > MAX_BYTES) return;
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    fs.writeFileSync(diffPath(dir, key), diff, 'utf-8');
+    const index = loadIndex(dir);
+    index.entries = index.entries.filter(e => e.key !== key);
+    index.entries.push({ key, ...refs, bytes, cachedAt, usedAt: new Date().toISOString() });
+
+    index.entries.sort((a, b) => b.usedAt.localeCompare(a.usedAt));
+    let total = 0;
+    const kept = [];
+    for (const entry of index.entries) {
+        total += entry.bytes;
+        if (kept.length < MAX_ENTRIES && total <= MAX_BYTES) {
+            kept.push(entry);
+        } else {
+            total -= entry.bytes;
+            fs.rmSync(diffPath(dir, entry.key), { force: true });
+        }
+    }
+    index.entries = kept;
+    saveIndex(dir, index);
+}
+
+/**
+ * Move the single diff of the old diff-cache.json ({ branch, parentBranch,
+ * diff, cachedAt }) into the cache, findable by its ref names, then delete the
+ * file. Its commits are unknown, so it only serves as the by-refs fallback.
+ */
+function importLegacyDiffCache(dir, legacyPath) {
+    if (!fs.existsSync(legacyPath)) return;
+    try {
+        const legacy = JSON.parse(fs.readFileSync(legacyPath, 'utf-8'));
+        if (legacy.branch && legacy.parentBranch && typeof legacy.diff === 'string') {
+            const cachedAt = isNaN(new Date(legacy.cachedAt)) ? new Date(0).toISOString() : new Date(legacy.cachedAt).toISOString();
+            putCachedDiff(
+                dir,
+                diffCacheKey(legacy.parentBranch, legacy.branch, 'legacy'),
+                { base: legacy.parentBranch, head: legacy.branch, baseSha: null, headSha: null, workingTree: false },
+                legacy.diff,
+                cachedAt
+            );
+        }
+    } catch (err) {
+        console.error('Dropping unreadable diff-cache.json:', err.message);
+    }
+    fs.rmSync(legacyPath, { force: true });
+}
+
+module.exports = { diffCacheKey, getCachedDiff, findCachedDiffByRefs, putCachedDiff, importLegacyDiffCache };
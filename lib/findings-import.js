@@ -0,0 +1,170 @@
+const path = require('node:path');
+const { parseDiagnosticsLog } = require('./build-logs');
+
+/**
+ * Conversion of findings from other analyzers (SARIF logs, xppbp.exe
+ * `bp-<model>.xml`) into review issues, and merging them into a review.
+ * Imported issues carry `source` (e.g. "bp:MyModel", "sarif:CodeQL") so a
+ * re-import replaces the previous findings from the same source.
+ */
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const CATEGORIES = ['Security', 'Performance', 'Logic', 'Best Practice', 'Style', 'Error Handling'];
+
+// Checked in order against rule ids, monikers and tags
+const CATEGORY_KEYWORDS = [
+    ['Security', /secur|inject|permission|privilege|credential|password|encrypt|xss|cwe/i],
+    ['Performance', /perf|firstonly|index|cache|recid|join|set.?based|loop/i],
+    ['Error Handling', /exception|error.?handl|\btry\b|catch|\btts|retry/i],
+    ['Style', /style|naming|label|doc|comment|format|unused|spelling/i],
+    ['Logic', /logic|null|overflow|unreachable|bug|correctness/i],
+];
+
+function inferCategory(...hints) {
+    const explicit = hints.find(h => CATEGORIES.includes(h));
+    if (explicit) return explicit;
+    const text = hints.filter(Boolean).join(' ');
+    const match = CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : 'Best Practice';
+}
+
+/** First line / sentence of a message, for use as an issue title. */
+function titleFrom(message) {
+    const first = String(message || '').split(/\r?\n/)[0].trim();
+    const sentence = /^(.{20,}?[.!?])\s/.exec(first);
+    const title = sentence ? sentence[1] : first;
+    return title.length > 120 ? `${title.slice(0, 117)}...` : title || '(untitled finding)';
+}
+
+/** ".../AxClass/MyClass.xml" or "MyClass.xpp" → "MyClass" */
+function elementFromUri(uri) {
+    let decoded = String(uri || '');
+    try { decoded = decodeURI(decoded); } catch { /* keep as is */ }
+    const base = path.posix.basename(decoded.replace(/\\/g, '/'));
+    return base.replace(/\.(xml|xpp)$/i, '') || null;
+}
+
+function locationText(line, method) {
+    return [line ? `Line ${line}` : null, method ? `${method}()` : null].filter(Boolean).join(' — ');
+}
+
+// ── SARIF ───────────────────────────────────────────────────────────
+
+const SARIF_LEVELS = { error: 'high', warning: 'medium', note: 'low', none: 'low' };
+
+function sarifSeverity(result, rule) {
+    const props = result.properties || {};
+    if (SEVERITIES.includes(props.severity)) return props.severity;
+    const score = parseFloat(props['security-severity'] ?? rule?.properties?.['security-severity']);
+    if (!Number.isNaN(score)) return score >= 9 ? 'critical' : score >= 7 ? 'high' : score >= 4 ? 'medium' : 'low';
+    const level = result.level || rule?.defaultConfiguration?.level || 'warning';
+    return SARIF_LEVELS[level] || 'medium';
+}
+
+function sarifMessage(message, rule) {
+    if (!message) return '';
+    if (message.text) return message.text;
+    // Message given by reference to the rule's messageStrings
+    const template = message.id && rule?.messageStrings?.[message.id]?.text;
+    return template ? template.replace(/\{(\d+)\}/g, (_, i) => message.arguments?.[i] ?? '') : '';
+}
+
+function sarifFix(result) {
+    const replacement = result.fixes?.[0]?.artifactChanges?.[0]?.replacements?.[0];
+    const text = replacement?.insertedContent?.text ?? result.properties?.fixCode;
+    return typeof text === 'string' ? text.replace(/\n$/, '') : undefined;
+}
+
+/**
+ * Convert a SARIF 2.1.0 log into { file, issue } findings. Returns the tool
+ * name of the first run as `tool` so callers can derive a default source.
+ */
+function sarifFindings(text) {
+    const log = typeof text === 'string' ? JSON.parse(text) : text;
+    if (!log || !Array.isArray(log.runs)) throw new Error('Not a SARIF log: missing "runs" array');
+
+    const findings = [];
+    for (const run of log.runs) {
+        const rules = run.tool?.driver?.rules || [];
+        for (const result of run.results || []) {
+            // Findings the producing tool already suppressed are not imported
+            if (result.suppressions?.some(s => s.status !== 'rejected' && s.status !== 'underReview')) continue;
+            const rule = (result.ruleIndex != null && rules[result.ruleIndex]) || rules.find(r => r.id === result.ruleId);
+            const location = result.locations?.[0]?.physicalLocation;
+            const region = location?.region || {};
+            const logical = result.locations?.[0]?.logicalLocations?.[0];
+            const message = sarifMessage(result.message, rule);
+            const fixCode = sarifFix(result);
+            const ruleId = result.ruleId || rule?.id || null;
+
+            findings.push({
+                file: elementFromUri(location?.artifactLocation?.uri) || logical?.fullyQualifiedName || '(unknown file)',
+                issue: {
+                    severity: sarifSeverity(result, rule),
+                    title: result.properties?.title || rule?.shortDescription?.text || titleFrom(message),
+                    location: result.properties?.location || locationText(region.startLine, logical?.kind === 'function' ? logical.name : null),
+                    category: inferCategory(result.properties?.category, ruleId, rule?.name, ...(rule?.properties?.tags || [])),
+                    description: message,
+                    ...(region.snippet?.text ? { code: region.snippet.text } : {}),
+                    ...(fixCode ? { fixCode } : {}),
+                    ...(result.fixes?.[0]?.description?.text ? { fixDescription: result.fixes[0].description.text } : {}),
+                    ...(ruleId ? { rule: ruleId } : {}),
+                },
+            });
+        }
+    }
+    return { tool: log.runs[0]?.tool?.driver?.name || 'sarif', findings };
+}
+
+// ── BP xmllog ───────────────────────────────────────────────────────
+
+const BP_SEVERITIES = { error: 'high', warning: 'medium', info: 'low' };
+
+/** Convert the contents of a bp-<model>.xml file into { file, issue } findings. */
+function bpFindings(xml) {
+    return parseDiagnosticsLog(xml).map(d => ({
+        file: d.elementName || elementFromUri(d.path) || '(unknown file)',
+        issue: {
+            severity: BP_SEVERITIES[d.severity],
+            title: titleFrom(d.message),
+            location: locationText(d.line, d.method),
+            category: inferCategory(d.moniker, d.message),
+            description: d.moniker ? `${d.message} (${d.moniker})` : d.message,
+            ...(d.moniker ? { rule: d.moniker } : {}),
+        },
+    }));
+}
+
+// ── Merge ───────────────────────────────────────────────────────────
+
+/**
+ * Merge findings into a multi-file review in place, tagging each issue with
+ * `source`. Issues previously imported from the same source are replaced;
+ * reviewer issues and other sources are left alone. Returns the counts.
+ */
+function mergeFindings(review, findings, source) {
+    let removed = 0;
+    for (const f of review.files) {
+        if (!f || typeof f !== 'object' || !Array.isArray(f.issues)) continue;
+        const kept = f.issues.filter(issue => issue?.source !== source);
+        // Entries with nothing to replace are left as they are, so only imported issues change
+        if (kept.length === f.issues.length) continue;
+        removed += f.issues.length - kept.length;
+        f.issues = kept;
+    }
+
+    const touched = new Set();
+    for (const { file, issue } of findings) {
+        let entry = review.files.find(f => f?.file === file);
+        if (!entry) {
+            entry = { file, summary: '', issues: [], strengths: [], recommendations: [] };
+            review.files.push(entry);
+        }
+        if (!Array.isArray(entry.issues)) entry.issues = [];
+        entry.issues.push({ ...issue, source });
+        touched.add(file);
+    }
+    return { imported: findings.length, replaced: removed, files: touched.size };
+}
+
+module.exports = { sarifFindings, bpFindings, mergeFindings };
@@ -0,0 +1,185 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Server-side application of accepted fixes to X++ object XML, following the
+ * same rules as the xpp-fix-applier agent: find the original `code` snippet
+ * inside the method source (exact first, then whitespace-insensitive), replace
+ * it with `fixCode`, and refuse rather than guess when the match is missing
+ * or ambiguous.
+ */
+
+const OBJECT_NAME = /^[\w.-]+$/;
+
+// Preferred object types when the same name exists in several AOT folders
+const TYPE_ORDER = ['AxClass', 'AxTable', 'AxForm', 'AxDataEntityView', 'AxQuery', 'AxMap', 'AxView'];
+
+function subdirs(dir) {
+    try {
+        return fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Locate `<Name>.xml` under `<sourceCodePath>/<Model>/<AxType>/`, also looking
+ * one level deeper for PackagesLocalDirectory's `<Package>/<Model>/` layout.
+ * Returns every match, best object type first.
+ */
+function findObjectFiles(sourceCodePath, name) {
+    if (!sourceCodePath || !OBJECT_NAME.test(name || '')) return [];
+    const found = [];
+    const visitModel = (modelDir) => {
+        for (const type of subdirs(modelDir).filter(d => /^Ax/.test(d))) {
+            const candidate = path.join(modelDir, type, `${name}.xml`);
+            if (fs.existsSync(candidate)) found.push({ type, path: candidate });
+        }
+    };
+    for (const model of subdirs(sourceCodePath)) {
+        const modelDir = path.join(sourceCodePath, model);
+        visitModel(modelDir);
+        for (const nested of subdirs(modelDir).filter(d => !/^Ax/.test(d))) visitModel(path.join(modelDir, nested));
+    }
+    const rank = (t) => (TYPE_ORDER.includes(t) ? TYPE_ORDER.indexOf(t) : TYPE_ORDER.length);
+    return found.sort((a, b) => rank(a.type) - rank(b.type)).map(f => f.path);
+}
+
+/**
+ * The X++ source regions of an object XML: the class declaration and each
+ * method's CDATA, as { name, start, end } offsets into the XML text.
+ */
+function sourceBlocks(xml) {
+    const blocks = [];
+    for (const m of xml.matchAll(/<Declaration><!\[CDATA\[([\s\S]*?)\]\]><\/Declaration>/g)) {
+        const start = m.index + m[0].length - m[1].length - ']]></Declaration>'.length;
+        blocks.push({ name: 'classDeclaration', start, end: start + m[1].length });
+    }
+    for (const m of xml.matchAll(/<Method>\s*<Name>([^<]*)<\/Name>[\s\S]*?<Source><!\[CDATA\[([\s\S]*?)\]\]><\/Source>/g)) {
+        const start = m.index + m[0].length - m[2].length - ']]></Source>'.length;
+        blocks.push({ name: m[1].trim(), start, end: start + m[2].length });
+    }
+    return blocks;
+}
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** All [start, end) ranges in `blocks` where `pattern` (string or RegExp) matches. */
+function findMatches(xml, blocks, pattern) {
+    const matches = [];
+    for (const b of blocks) {
+        const text = xml.slice(b.start, b.end);
+        if (typeof pattern === 'string') {
+            for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) {
+                matches.push({ start: b.start + i, end: b.start + i + pattern.length });
+            }
+        } else {
+            for (const m of text.matchAll(pattern)) {
+                matches.push({ start: b.start + m.index, end: b.start + m.index + m[0].length });
+            }
+        }
+    }
+    return matches;
+}
+
+/**
+ * Whitespace-insensitive pattern for a snippet: words must stay separated,
+ * but spacing and line breaks around punctuation may differ ("{}" vs "{ }").
+ */
+function fuzzyPattern(code) {
+    const tokens = code.match(/\w+|[^\w\s]/g);
+    const source = tokens.map((t, i) => {
+        const gap = i === 0 ? '' : /\w/.test(t[0]) && /\w/.test(tokens[i - 1]) ? '\\s+' : '\\s*';
+        return gap + escapeRegExp(t);
+    }).join('');
+    return new RegExp(source, 'g');
+}
+
+function indentOf(line) {
+    return /^[ \t]*/.exec(line)[0];
+}
+
+/** Strip the common indentation of a snippet and re-indent continuation lines with `indent`. */
+function reindent(lines, indent) {
+    const nonEmpty = lines.filter(l => l.trim());
+    const common = nonEmpty.reduce((min, l) => Math.min(min, indentOf(l).length), Infinity);
+    const strip = Number.isFinite(common) ? common : 0;
+    return lines.map((l, i) => (i === 0 ? l.slice(strip) : l.trim() ? indent + l.slice(strip) : ''));
+}
+
+/**
+ * Find an issue's code snippet in an object XML: exact first, then
+ * whitespace-insensitive, in the named method before the whole object.
+ * Returns { start, end, exact, line, endLine } (1-based lines) or { error }
+ * when the snippet is missing or matches more than one place.
+ */
+function locateSnippet(xml, { code, method }) {
+    if (!code || !code.trim()) return { error: 'Issue has no code snippet to locate' };
+    const blocks = sourceBlocks(xml);
+    if (blocks.length === 0) return { error: 'No X++ source found in the object XML' };
+
+    const eol = xml.includes('\r\n') ? '\r\n' : '\n';
+    const snippet = code.replace(/\r\n/g, '\n').replace(/\n+$/, '').split('\n').join(eol);
+    const fuzzy = fuzzyPattern(code);
+
+    // Search the method named in the issue location first, then the whole object
+    const inMethod = method ? blocks.filter(b => b.name.toLowerCase() === method.toLowerCase()) : [];
+    const scopes = inMethod.length ? [inMethod, blocks] : [blocks];
+    let match = null, exact = false;
+    for (const scope of scopes) {
+        for (const [pattern, isExact] of [[snippet, true], [fuzzy, false]]) {
+            const found = findMatches(xml, scope, pattern);
+            if (found.length > 1) return { error: `Original code matches ${found.length} places${scope === inMethod ? ` in ${method}()` : ''}` };
+            if (found.length === 1) { match = found[0]; exact = isExact; break; }
+        }
+        if (match) break;
+    }
+    if (!match) return { error: 'Original code not found in the source file' };
+
+    const lineAt = (offset) => xml.slice(0, offset).split('\n').length;
+    return { ...match, exact, line: lineAt(match.start), endLine: lineAt(Math.max(match.start, match.end - 1)) };
+}
+
+/**
+ * Apply one fix to the contents of an object XML.
+ * Returns { content, line } on success (line = 1-based line of the edit) or
+ * { error } explaining why the fix was skipped.
+ */
+function applyFixToSource(xml, { code, fixCode, method }) {
+    if (!code || !code.trim()) return { error: 'Fix has no original code snippet to locate' };
+    if (!fixCode || !fixCode.trim()) return { error: 'Fix has no fixCode' };
+    if (fixCode.includes(']]>')) return { error: 'fixCode contains "]]>", which cannot be written inside CDATA' };
+
+    const match = locateSnippet(xml, { code, method });
+    if (match.error) return match;
+
+    const eol = xml.includes('\r\n') ? '\r\n' : '\n';
+    const lineStart = xml.lastIndexOf('\n', match.start - 1) + 1;
+    const before = xml.slice(lineStart, match.start);
+    const indent = before.trim() ? indentOf(before) : before;
+    const fixLines = fixCode.replace(/\r\n/g, '\n').replace(/\n+$/, '').split('\n');
+
+    let { start, end } = match;
+    let replacement;
+    if (fixLines.every(l => !l.trim() || /^\s*\/\/\s*Removed\b/i.test(l))) {
+        // A fix that only says "// Removed: ..." deletes the original lines outright
+        replacement = '';
+        if (!before.trim()) start = lineStart;
+        const lineEnd = xml.indexOf('\n', end);
+        if (lineEnd !== -1 && !xml.slice(end, lineEnd).trim()) end = lineEnd + 1;
+    } else if (match.exact) {
+        // The snippet was copied verbatim, so fixCode is assumed to use the file's indentation too
+        replacement = fixLines.join(eol);
+    } else {
+        replacement = reindent(fixLines, indent).join(eol);
+    }
+
+    return {
+        content: xml.slice(0, start) + replacement + xml.slice(end),
+        line: match.line,
+    };
+}
+
+module.exports = { findObjectFiles, sourceBlocks, locateSnippet, applyFixToSource };
@@ -0,0 +1,180 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { execFile } = require('node:child_process');
+
+/**
+ * Asynchronous git access for the diff endpoints. Commands run without a
+ * shell (argument arrays only), with a timeout and an output cap, and at most
+ * MAX_CONCURRENT at a time, so a large diff neither blocks the HTTP server
+ * nor lets a burst of requests fork a git process each. Refs are validated
+ * before they reach the command line, as they may come from a query string
+ * or a hand-edited review JSON.
+ */
+
+const MAX_CONCURRENT = 4;
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const MAX_OUTPUT = 20 * 1024 * 1024;
+
+// Branch, tag or SHA, optionally followed by ^ / ~N steps (e.g. "feature/x", "a1b2c3d^", "main~2")
+const REF = /^\w[\w./-]*(?:[~^]\d*)*$/;
+
+function isValidRef(ref) {
+    return typeof ref === 'string'
+        && ref.length <= 255
+        && REF.test(ref)
+        && !ref.includes('..')
+        && !ref.includes('//')
+        && !/[./](?:[~^]|$)/.test(ref)
+        && !/\.lock(?:[~^/]|$)/.test(ref);
+}
+
+/** Throw unless `ref` is safe to pass to git as a revision. */
+function assertRef(ref) {
+    if (!isValidRef(ref)) throw new Error(`Invalid ref "${ref ?? ''}"`);
+}
+
+let running = 0;
+const waiting = [];
+
+function acquire() {
+    if (running < MAX_CONCURRENT) {
+        running++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+}
+
+function release() {
+    // Hand the slot straight to the next waiting command, if any
+    const next = waiting.shift();
+    if (next) next();
+    else running--;
+}
+
+/**
+ * Run `git <args>` in `repoPath` and resolve with its stdout. Rejects with
+ * git's own error output, or a timeout / output-size message.
+ */
+async function git(repoPath, args, { timeout = DEFAULT_TIMEOUT_MS, maxBuffer = MAX_OUTPUT } = {}) {
+    await acquire();
+    try {
+        return await new Promise((resolve, reject) => {
+            execFile('git', args, { cwd: repoPath, encoding: 'utf-8', timeout, maxBuffer, windowsHide: true }, (err, stdout, stderr) => {
+                if (!err) return resolve(stdout);
+                const reason = err.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER'
+                    ? `output exceeded ${Math.round(maxBuffer / 1024 / 1024)} MB`
+                    : err.killed ? `timed out after ${timeout / 1000}s` : (stderr || err.message).trim().split('\n')[0];
+                reject(new Error(`git ${args[0]} failed: ${reason}`));
+            });
+        });
+    } finally {
+        release();
+    }
+}
+
+/** Name of the checked-out branch ('' when HEAD is detached). */
+async function currentBranch(repoPath) {
+    return (await git(repoPath, ['branch', '--show-current'])).trim();
+}
+
+/** Full SHA of the commit `ref` points at; rejects when it does not resolve. */
+async function revParse(repoPath, ref) {
+    assertRef(ref);
+    try {
+        return (await git(repoPath, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])).trim();
+    } catch {
+        throw new Error(`Unknown ref "${ref}"`);
+    }
+}
+
+/**
+ * Fingerprint of the uncommitted changes to tracked files: '' for a clean
+ * working tree, otherwise a hash of their status, size and modification time.
+ * It changes whenever `git diff <base>` against the working tree could.
+ */
+async function workingTreeState(repoPath) {
+    const out = await git(repoPath, ['status', '--porcelain', '-z', '--untracked-files=no']);
+    const parts = out.split('\0').filter(Boolean);
+    const hash = crypto.createHash('sha1');
+    for (let i = 0; i < parts.length; i++) {
+        const status = parts[i].slice(0, 2);
+        const file = parts[i].slice(3);
+        // Renames and copies are followed by their source path
+        if (/[RC]/.test(status)) i++;
+        let stat = 'missing';
+        try {
+            const s = fs.statSync(path.join(repoPath, file));
+            stat = `${s.size}:${s.mtimeMs}`;
+        } catch { /* deleted in the working tree */ }
+        hash.update(`${status} ${file} ${stat}\n`);
+    }
+    return parts.length ? hash.digest('hex') : '';
+}
+
+/** Unified diff of `base` against `head`, or against the working tree when `head` is omitted. */
+async function diff(repoPath, base, head) {
+    assertRef(base);
+    if (head) assertRef(head);
+    return git(repoPath, ['diff', base, ...(head ? [head] : []), '--']);
+}
+
+/** Contents of `filePath` at `ref`; rejects when the file does not exist there. */
+async function showFile(repoPath, ref, filePath) {
+    assertRef(ref);
+    return git(repoPath, ['show', `${ref}:${filePath}`]);
+}
+
+/** Commits in base..head, newest first, as { sha, shortSha, author, date, subject }. */
+async function log(repoPath, base, head) {
+    assertRef(base);
+    assertRef(head);
+    const out = await git(repoPath, ['log', '--format=%H%x1f%h%x1f%an%x1f%aI%x1f%s', `${base}..${head}`, '--']);
+    return out.split('\n').filter(Boolean).map(line => {
+        const [sha, shortSha, author, date, subject] = line.split('\x1f');
+        return { sha, shortSha, author, date, subject };
+    });
+}
+
+/** Tracked files whose repo-relative path matches `glob` (git pathspec glob syntax). */
+async function listFiles(repoPath, glob) {
+    const out = await git(repoPath, ['ls-files', '-z', '--', `:(glob)${glob}`]);
+    return out.split('\0').filter(Boolean);
+}
+
+/**
+ * Line-by-line authorship of a file in the working tree, from
+ * `git blame --porcelain`. Returns { lines, commits }: lines[n - 1] is the
+ * SHA that last touched line n, and commits maps each SHA to { author, email,
+ * date, summary }. Uncommitted lines have the all-zero SHA.
+ */
+async function blame(repoPath, filePath) {
+    const out = await git(repoPath, ['blame', '--porcelain', '--', filePath]);
+    const lines = [];
+    const commits = {};
+    let current = null;
+    for (const line of out.split('\n')) {
+        const header = /^([0-9a-f]{40}) \d+ (\d+)/.exec(line);
+        if (header) {
+            current = header[1];
+            lines[Number(header[2]) - 1] = current;
+            if (!commits[current]) commits[current] = {};
+            continue;
+        }
+        if (!current || line.startsWith('\t')) continue;
+        const space = line.indexOf(' ');
+        const key = space === -1 ? line : line.slice(0, space);
+        const value = space === -1 ? '' : line.slice(space + 1);
+        const commit = commits[current];
+        if (key === 'author') commit.author = value;
+        else if (key === 'author-mail') commit.email = value.replace(/^<|>$/g, '');
+        else if (key === 'author-time') commit.date = new Date(Number(value) * 1000).toISOString();
+        else if (key === 'summary') commit.summary = value;
+    }
+    return { lines, commits };
+}
+
+module.exports = {
+    isValidRef, assertRef, git, currentBranch, revParse, workingTreeState,
+    diff, showFile, log, listFiles, blame,
+};
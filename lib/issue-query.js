@@ -0,0 +1,129 @@
+/**
+ * Server-side filtering, sorting and paging of review issues for
+ * GET /api/issues. Query parameters use the same names as the dashboard's
+ * issues-page URL (sev, cat, file, q, state, dismissed), so a view's hash
+ * query can be passed straight through. `author` filters by who last changed
+ * each issue's code, which needs git blame and so is resolved by the caller.
+ */
+
+const { UNCATEGORIZED } = require('./review-schema');
+
+const SEVERITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+const STATES = ['open', 'accepted', 'applied'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+const bySeverity = (a, b) => (SEVERITY_ORDER[a.severity] ?? 4) - (SEVERITY_ORDER[b.severity] ?? 4);
+const byText = (key) => (a, b) => String(a[key] || '').localeCompare(String(b[key] || ''));
+
+// Each sort falls back to severity, then file, so pages are stable
+const SORTS = {
+    severity: [bySeverity, byText('file')],
+    file: [byText('file'), bySeverity],
+    category: [byText('category'), bySeverity, byText('file')],
+    title: [byText('title'), bySeverity, byText('file')],
+};
+
+function list(value) {
+    return value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+}
+
+function intParam(value, fallback, min, max) {
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) ? fallback : Math.min(Math.max(n, min), max);
+}
+
+/** Read an issues query from URLSearchParams, throwing on values that cannot be honoured. */
+function parseIssueQuery(params) {
+    const sort = params.get('sort') || 'severity';
+    if (!SORTS[sort]) throw new Error(`Unknown sort "${sort}" (expected one of: ${Object.keys(SORTS).join(', ')})`);
+    const state = params.get('state') || '';
+    if (state && !STATES.includes(state)) throw new Error(`Unknown state "${state}" (expected one of: ${STATES.join(', ')})`);
+    return {
+        severities: list(params.get('sev')),
+        categories: list(params.get('cat')),
+        files: list(params.get('file')),
+        q: (params.get('q') || '').trim().toLowerCase(),
+        state,
+        dismissed: params.get('dismissed') === '1',
+        author: (params.get('author') || '').trim(),
+        // Count issues by author as well (implied by an author filter)
+        authors: params.get('authors') === '1' || Boolean(params.get('author')),
+        sort,
+        desc: params.get('order') === 'desc',
+        offset: intParam(params.get('offset'), 0, 0, Number.MAX_SAFE_INTEGER),
+        limit: intParam(params.get('limit'), DEFAULT_LIMIT, 0, MAX_LIMIT),
+    };
+}
+
+function matches(row, query) {
+    if (row.suppressed && !query.dismissed) return false;
+    if (query.severities.length && !query.severities.includes(row.severity)) return false;
+    if (query.categories.length && !query.categories.includes(row.category)) return false;
+    if (query.files.length && !query.files.includes(row.file)) return false;
+    if (query.state && row.fixState !== query.state) return false;
+    if (query.author && row.author !== query.author) return false;
+    if (query.q) {
+        const haystack = [row.title, row.description, row.code].filter(Boolean).join('\n').toLowerCase();
+        if (!haystack.includes(query.q)) return false;
+    }
+    return true;
+}
+
+function increment(counts, key) {
+    counts[key] = (counts[key] || 0) + 1;
+}
+
+const severityCounts = () => ({ critical: 0, high: 0, medium: 0, low: 0 });
+
+/**
+ * Run a query against a fingerprinted, suppression-annotated review.
+ * `fixStates` maps fingerprint → 'accepted' | 'applied', and `authors` (when
+ * the query needs them) maps fingerprint → author name. Returns one page of
+ * issues (each with `file`, `fixState` and `author`) plus counts over every match.
+ */
+function queryIssues(review, fixStates, query, authors = null) {
+    const rows = review.files.flatMap(f => f.issues.map(issue => ({
+        ...issue,
+        file: f.file,
+        fixState: fixStates.get(issue.fingerprint) || 'open',
+        author: authors?.get(issue.fingerprint) || '',
+    })));
+    const matched = rows.filter(row => matches(row, query));
+
+    const counts = { severity: severityCounts(), category: {}, file: {}, fileSeverity: {}, state: {} };
+    if (authors) counts.author = {};
+    for (const row of matched) {
+        increment(counts.severity, row.severity);
+        increment(counts.category, row.category || UNCATEGORIZED);
+        increment(counts.file, row.file);
+        increment(counts.fileSeverity[row.file] ??= severityCounts(), row.severity);
+        increment(counts.state, row.fixState);
+        if (counts.author && row.author) increment(counts.author, row.author);
+    }
+
+    const comparators = SORTS[query.sort];
+    const direction = query.desc ? -1 : 1;
+    matched.sort((a, b) => {
+        for (const compare of comparators) {
+            const result = compare(a, b);
+            if (result) return result * direction;
+        }
+        return 0;
+    });
+
+    return {
+        total: matched.length,
+        offset: query.offset,
+        limit: query.limit,
+        issues: matched.slice(query.offset, query.offset + query.limit),
+        counts,
+        // Issues in the review that are not dismissed, regardless of the filters
+        reviewTotal: rows.filter(row => !row.suppressed).length,
+        // Dismissed issues that match the other filters (part of `total` only with dismissed=1)
+        dismissedTotal: rows.filter(row => row.suppressed && matches(row, { ...query, dismissed: true })).length,
+    };
+}
+
+module.exports = { parseIssueQuery, queryIssues };
@@ -0,0 +1,106 @@
+const schema = require('./review-schema.json');
+
+/**
+ * Validation and repair of code-review-result.json against review-schema.json.
+ * The validator covers the JSON Schema subset the schema uses: type, required,
+ * properties, items, enum, minLength, format: date-time and if/then/else.
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function joinPath(base, key) {
+    return typeof key === 'number' ? `${base}[${key}]` : base ? `${base}.${key}` : key;
+}
+
+function validateNode(node, value, at, errors) {
+    if (node.type && typeOf(value) !== node.type) {
+        errors.push({ path: at, message: `expected ${node.type}, got ${typeOf(value)}` });
+        return;
+    }
+    if (node.enum && !node.enum.includes(value)) {
+        errors.push({ path: at, message: `must be one of ${node.enum.join(', ')} (got ${JSON.stringify(value)})` });
+    }
+    if (node.minLength && typeof value === 'string' && value.trim().length < node.minLength) {
+        errors.push({ path: at, message: 'must not be empty' });
+    }
+    if (node.format === 'date-time' && typeof value === 'string' && isNaN(new Date(value))) {
+        errors.push({ path: at, message: `is not a valid ISO date (got ${JSON.stringify(value)})` });
+    }
+    if (typeOf(value) === 'object') {
+        for (const key of node.required || []) {
+            if (value[key] === undefined || value[key] === null) {
+                const hint = node.properties?.[key]?.enum ? ` (one of ${node.properties[key].enum.join(', ')})` : '';
+                errors.push({ path: joinPath(at, key), message: `is required${hint}` });
+            }
+        }
+        for (const [key, sub] of Object.entries(node.properties || {})) {
+            if (value[key] !== undefined && value[key] !== null) validateNode(sub, value[key], joinPath(at, key), errors);
+        }
+        if (node.if) {
+            const probe = [];
+            validateNode(node.if, value, at, probe);
+            const branch = probe.length === 0 ? node.then : node.else;
+            if (branch) validateNode(branch, value, at, errors);
+        }
+    }
+    if (node.items && Array.isArray(value)) {
+        value.forEach((item, i) => validateNode(node.items, item, joinPath(at, i), errors));
+    }
+}
+
+/**
+ * Validate a multi-file review. Each error carries the JSON path plus, where
+ * the path points into a file or issue, that file's name and issue title so
+ * the problem can be found without counting array indexes.
+ */
+function validateReview(review) {
+    const errors = [];
+    validateNode(schema, review, '', errors);
+    for (const err of errors) {
+        const m = /^files\[(\d+)\](?:\.issues\[(\d+)\])?/.exec(err.path);
+        if (!m) continue;
+        const file = review.files[Number(m[1])];
+        if (file && typeof file.file === 'string') err.file = file.file;
+        const issue = m[2] !== undefined && Array.isArray(file?.issues) ? file.issues[Number(m[2])] : null;
+        if (issue && typeof issue.title === 'string') err.issue = issue.title;
+    }
+    return { valid: errors.length === 0, errors };
+}
+
+const SEVERITIES = schema.properties.files.items.properties.issues.items.properties.severity.enum;
+
+/**
+ * Coerce a review into the shape the dashboard relies on (arrays where arrays
+ * are expected, lower-case severities, titles present) so that one malformed
+ * entry cannot blank the page. Validation should run on the original first.
+ */
+function sanitizeReview(review) {
+    const isObject = (v) => typeOf(v) === 'object';
+    const files = Array.isArray(review.files) ? review.files.filter(isObject) : [];
+    return {
+        ...review,
+        files: files.map((f, i) => ({
+            ...f,
+            file: typeof f.file === 'string' && f.file.trim() ? f.file : `(unnamed file ${i + 1})`,
+            issues: (Array.isArray(f.issues) ? f.issues.filter(isObject) : []).map(issue => {
+                const severity = typeof issue.severity === 'string' ? issue.severity.trim().toLowerCase() : '';
+                return {
+                    ...issue,
+                    severity: SEVERITIES.includes(severity) ? severity : issue.severity,
+                    title: typeof issue.title === 'string' && issue.title.trim() ? issue.title : '(untitled issue)',
+                };
+            }),
+            strengths: Array.isArray(f.strengths) ? f.strengths : [],
+            recommendations: Array.isArray(f.recommendations) ? f.recommendations : [],
+        })),
+    };
+}
+
+// Category that issues without one are grouped under, in every count and chart
+const UNCATEGORIZED = 'Other';
+
+module.exports = { schema, validateReview, sanitizeReview, UNCATEGORIZED };
@@ -0,0 +1,149 @@
+const { version } = require('../package.json');
+const { UNCATEGORIZED } = require('./review-schema');
+
+/**
+ * Conversion of a (fingerprinted, suppression-annotated) review into a
+ * SARIF 2.1.0 log. Each issue category becomes a rule, each issue a result;
+ * fixCode is attached as a fix when the issue has a line to anchor it to.
+ */
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+
+// GitHub code scanning reads `security-severity` to rank security results
+const SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.5', low: '2.0' };
+
+function ruleId(category) {
+    const slug = String(category || UNCATEGORIZED).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `xpp/${slug || 'uncategorized'}`;
+}
+
+/** Pull the line number out of locations like "Line 45 — methodName()" or "Lines 45-52". */
+function issueLine(location) {
+    const m = /\blines?\s+(\d+)(?:\s*[-–]\s*(\d+))?/i.exec(location || '');
+    if (!m) return null;
+    const startLine = Number(m[1]);
+    const endLine = m[2] ? Number(m[2]) : null;
+    return startLine > 0 ? { startLine, endLine: endLine && endLine >= startLine ? endLine : null } : null;
+}
+
+function buildRegion(issue) {
+    const line = issueLine(issue.location);
+    if (!line) return null;
+    const region = { startLine: line.startLine };
+    // Without an explicit range, the original snippet tells how many lines the issue spans
+    const codeLines = issue.code ? issue.code.split(/\r?\n/).length : 1;
+    const endLine = line.endLine || line.startLine + codeLines - 1;
+    if (endLine > line.startLine) region.endLine = endLine;
+    if (issue.code) region.snippet = { text: issue.code };
+    return region;
+}
+
+function buildFix(issue, artifactLocation, region) {
+    if (!issue.fixCode || !region) return null;
+    const fixText = issue.fixCode.endsWith('\n') ? issue.fixCode : `${issue.fixCode}\n`;
+    return {
+        description: { text: issue.fixDescription || 'Apply the suggested fix' },
+        artifactChanges: [{
+            artifactLocation,
+            replacements: [{
+                deletedRegion: { startLine: region.startLine, endLine: region.endLine || region.startLine },
+                insertedContent: { text: fixText },
+            }],
+        }],
+    };
+}
+
+function messageText(issue) {
+    if (!issue.description) return issue.title;
+    // Imported findings often use the first sentence of the description as their title
+    return issue.description.startsWith(issue.title) ? issue.description : `${issue.title}: ${issue.description}`;
+}
+
+function buildResult(file, issue, ruleIndex) {
+    const artifactLocation = { uri: encodeURI(file), uriBaseId: 'SRCROOT' };
+    const region = buildRegion(issue);
+    const physicalLocation = { artifactLocation };
+    if (region) physicalLocation.region = region;
+
+    const result = {
+        ruleId: ruleId(issue.category),
+        ruleIndex,
+        level: LEVELS[issue.severity] || 'warning',
+        message: { text: messageText(issue) },
+        locations: [{ physicalLocation }],
+        properties: {
+            title: issue.title,
+            severity: issue.severity,
+            category: issue.category,
+            location: issue.location,
+        },
+    };
+    if (issue.fingerprint) result.partialFingerprints = { 'xppIssue/v1': issue.fingerprint };
+    if (issue.category === 'Security' && SECURITY_SEVERITY[issue.severity]) {
+        result.properties['security-severity'] = SECURITY_SEVERITY[issue.severity];
+    }
+
+    const fix = buildFix(issue, artifactLocation, region);
+    if (fix) result.fixes = [fix];
+    else if (issue.fixCode) result.properties.fixCode = issue.fixCode;
+
+    if (issue.suppressed) {
+        result.suppressions = [{
+            kind: 'external',
+            status: 'accepted',
+            justification: `${issue.suppressed.kind}: ${issue.suppressed.reason}`,
+        }];
+    }
+    return result;
+}
+
+/**
+ * Convert a multi-file review to a SARIF log. Reviewed files are element names
+ * (e.g. a class name), so locations are relative to SRCROOT.
+ */
+function reviewToSarif(review) {
+    const categories = [];
+    for (const f of review.files) {
+        for (const issue of f.issues) {
+            const id = ruleId(issue.category);
+            if (!categories.some(c => c.id === id)) categories.push({ id, name: String(issue.category || UNCATEGORIZED) });
+        }
+    }
+    const rules = categories.map(c => ({
+        id: c.id,
+        name: c.name.replace(/\s+/g, ''),
+        shortDescription: { text: `X++ ${c.name} issue` },
+        properties: { tags: ['x++', c.name.toLowerCase()] },
+    }));
+
+    const results = review.files.flatMap(f =>
+        f.issues.map(issue => buildResult(f.file, issue, categories.findIndex(c => c.id === ruleId(issue.category))))
+    );
+
+    const run = {
+        tool: {
+            driver: {
+                name: 'xpp-code-reviewer',
+                version,
+                rules,
+            },
+        },
+        results,
+        columnKind: 'unicodeCodePoints',
+        properties: {
+            summary: review.summary,
+            mode: review.mode,
+        },
+    };
+    if (review.date && !isNaN(new Date(review.date))) run.invocations = [{ executionSuccessful: true, endTimeUtc: new Date(review.date).toISOString() }];
+    if (review.mode === 'branch-diff') {
+        run.properties.branch = review.branch;
+        run.properties.parentBranch = review.parentBranch;
+    }
+
+    return { $schema: SARIF_SCHEMA, version: '2.1.0', runs: [run] };
+}
+
+module.exports = { reviewToSarif, issueLine };
@@ -0,0 +1,103 @@
+const fs = require('node:fs');
+const { parseXml, childElements, firstChild, descendants, textContent } = require('./xml');
+
+/**
+ * Reader for the SysTestListenerXML output written by scripts/Run-XppTests.ps1:
+ *
+ *   <test-results success="...">
+ *     <test-suite name="..."><results>
+ *       <test-suite name="ClassName" success="..." time="ms"><results>
+ *         <test-case name="Class.Method" success="..." time="ms" skipped="...">
+ *           <infolog><error>...</error></infolog>
+ *         </test-case>
+ *       </results></test-suite>
+ *     </results></test-suite>
+ *   </test-results>
+ */
+
+function toMs(value) {
+    const n = parseFloat(value);
+    return Number.isNaN(n) ? null : n;
+}
+
+function testStatus(testCase) {
+    if (testCase.attributes.skipped === 'true' || testCase.attributes.executed === 'false') return 'skipped';
+    return testCase.attributes.success === 'true' ? 'passed' : 'failed';
+}
+
+/** Infolog entries ([error], [warning], ...) plus any NUnit-style <failure><message>. */
+function testMessages(testCase) {
+    const messages = [];
+    for (const infolog of childElements(testCase, 'infolog')) {
+        for (const entry of childElements(infolog)) {
+            messages.push({ level: entry.name, text: textContent(entry).trim() });
+        }
+    }
+    const failure = firstChild(testCase, 'failure');
+    const message = failure && firstChild(failure, 'message');
+    if (message) messages.push({ level: 'error', text: textContent(message).trim() });
+    return messages;
+}
+
+const STATUS_ORDER = { failed: 0, skipped: 1, passed: 2 };
+
+/**
+ * Parse a test-results.xml document into per-class results. Classes with
+ * failures come first, and failing tests come first within each class.
+ */
+function parseTestResults(xml) {
+    const root = parseXml(xml);
+    // Class-level suites are the ones that directly contain test cases
+    const suites = descendants(root, 'test-suite').filter(s => {
+        const results = firstChild(s, 'results');
+        return results && childElements(results, 'test-case').length > 0;
+    });
+
+    const classes = suites.map(suite => {
+        const tests = childElements(firstChild(suite, 'results'), 'test-case').map(tc => {
+            const name = tc.attributes.name || '';
+            return {
+                name,
+                method: name.includes('.') ? name.slice(name.lastIndexOf('.') + 1) : name,
+                status: testStatus(tc),
+                durationMs: toMs(tc.attributes.time),
+                messages: testMessages(tc),
+            };
+        });
+        tests.sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status]);
+        const count = (status) => tests.filter(t => t.status === status).length;
+        return {
+            name: suite.attributes.name || '',
+            durationMs: toMs(suite.attributes.time),
+            passed: count('passed'),
+            failed: count('failed'),
+            skipped: count('skipped'),
+            tests,
+        };
+    });
+    classes.sort((a, b) => (b.failed > 0) - (a.failed > 0) || a.name.localeCompare(b.name));
+
+    const sum = (key) => classes.reduce((s, c) => s + c[key], 0);
+    return {
+        success: root.attributes.success ? root.attributes.success === 'true' : sum('failed') === 0,
+        totals: {
+            total: sum('passed') + sum('failed') + sum('skipped'),
+            passed: sum('passed'),
+            failed: sum('failed'),
+            skipped: sum('skipped'),
+            durationMs: classes.reduce((s, c) => s + (c.durationMs || 0), 0),
+        },
+        classes,
+    };
+}
+
+/** Load and parse a test-results.xml file, or return null if it does not exist. */
+function loadTestResults(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    return {
+        modifiedAt: fs.statSync(filePath).mtime.toISOString(),
+        ...parseTestResults(fs.readFileSync(filePath, 'utf-8')),
+    };
+}
+
+module.exports = { parseTestResults, loadTestResults };
@@ -0,0 +1,87 @@
+/**
+ * Minimal line-based unified diff, used to preview source edits before they
+ * are written. Output follows `git diff` so the dashboard's diff parser can
+ * render it.
+ */
+
+// Above this many cells the LCS table is skipped and the changed block is shown as replaced
+const MAX_LCS_CELLS = 4_000_000;
+
+function splitLines(text) {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/** Edit script between two line arrays as [{ op: ' ' | '-' | '+', text }]. */
+function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length, endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const ops = a.slice(0, start).map(text => ({ op: ' ', text }));
+    const midA = a.slice(start, endA), midB = b.slice(start, endB);
+
+    if (midA.length * midB.length > MAX_LCS_CELLS) {
+        midA.forEach(text => ops.push({ op: '-', text }));
+        midB.forEach(text => ops.push({ op: '+', text }));
+    } else {
+        // lcs[i][j] = length of the LCS of midA[i..] and midB[j..]
+        const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        let i = 0, j = 0;
+        while (i < midA.length && j < midB.length) {
+            if (midA[i] === midB[j]) { ops.push({ op: ' ', text: midA[i] }); i++; j++; }
+            else if (lcs[i + 1][j] >= lcs[i][j + 1]) ops.push({ op: '-', text: midA[i++] });
+            else ops.push({ op: '+', text: midB[j++] });
+        }
+        while (i < midA.length) ops.push({ op: '-', text: midA[i++] });
+        while (j < midB.length) ops.push({ op: '+', text: midB[j++] });
+    }
+
+    a.slice(endA).forEach(text => ops.push({ op: ' ', text }));
+    return ops;
+}
+
+/**
+ * Unified diff of one file, with `context` unchanged lines around each change.
+ * Returns '' when the texts are identical.
+ */
+function unifiedDiff(oldText, newText, filePath, context = 3) {
+    const ops = diffLines(splitLines(oldText), splitLines(newText));
+    const changed = ops.map((o, i) => (o.op !== ' ' ? i : -1)).filter(i => i !== -1);
+    if (changed.length === 0) return '';
+
+    // Group changes whose context windows touch into one hunk
+    const groups = [];
+    for (const i of changed) {
+        const last = groups[groups.length - 1];
+        if (last && i - last.end <= context * 2 + 1) last.end = i;
+        else groups.push({ start: i, end: i });
+    }
+
+    const out = [`diff --git a/${filePath} b/${filePath}`, `--- a/${filePath}`, `+++ b/${filePath}`];
+    for (const g of groups) {
+        const from = Math.max(0, g.start - context);
+        const to = Math.min(ops.length - 1, g.end + context);
+        // Line numbers of the first op in the hunk
+        let oldLine = 1, newLine = 1;
+        for (let i = 0; i < from; i++) {
+            if (ops[i].op !== '+') oldLine++;
+            if (ops[i].op !== '-') newLine++;
+        }
+        const slice = ops.slice(from, to + 1);
+        const oldCount = slice.filter(o => o.op !== '+').length;
+        const newCount = slice.filter(o => o.op !== '-').length;
+        out.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+        slice.forEach(o => out.push(`${o.op}${o.text}`));
+    }
+    return `${out.join('\n')}\n`;
+}
+
+module.exports = { unifiedDiff };
@@ -0,0 +1,143 @@
+/**
+ * Minimal XML reader for the files this dashboard consumes (xppc/xppbp logs,
+ * SysTest results, AOT metadata). No namespaces, DTDs or streaming — just
+ * elements, attributes, text and CDATA.
+ *
+ * Nodes: { name, attributes: { [name]: value }, children: Node[], text }
+ * `text` is the concatenated direct text/CDATA content of the element.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeEntities(str) {
+    return str.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, ent) => {
+        if (ent[0] === '#') {
+            const code = ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+            // Out-of-range references (e.g. &#x110000;) are left as written rather than failing the whole log
+            return code <= 0x10ffff ? String.fromCodePoint(code) : m;
+        }
+        return ENTITIES[ent] ?? m;
+    });
+}
+
+function parseAttributes(body) {
+    const attributes = {};
+    const re = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let m;
+    while ((m = re.exec(body))) attributes[m[1]] = decodeEntities(m[2] ?? m[3]);
+    return attributes;
+}
+
+/** Parse an XML string and return its root element. Throws on malformed input. */
+function parseXml(xml) {
+    const doc = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [doc];
+    const len = xml.length;
+    let i = xml.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    const skipPast = (marker, from) => {
+        const end = xml.indexOf(marker, from);
+        if (end === -1) throw new Error(`Unterminated markup at offset ${from}`);
+        return end + marker.length;
+    };
+
+    while (i < len) {
+        const top = stack[stack.length - 1];
+        const lt = xml.indexOf('<', i);
+        if (lt === -1) {
+            top.text += decodeEntities(xml.slice(i));
+            break;
+        }
+        if (lt > i) top.text += decodeEntities(xml.slice(i, lt));
+
+        if (xml.startsWith('<!--', lt)) {
+            i = skipPast('-->', lt);
+        } else if (xml.startsWith('<![CDATA[', lt)) {
+            const end = skipPast(']]>', lt);
+            top.text += xml.slice(lt + 9, end - 3);
+            i = end;
+        } else if (xml.startsWith('<?', lt)) {
+            i = skipPast('?>', lt);
+        } else if (xml.startsWith('<!', lt)) {
+            i = skipPast('>', lt);
+        } else if (xml[lt + 1] === '/') {
+            const end = skipPast('>', lt);
+            const name = xml.slice(lt + 2, end - 1).trim();
+            if (stack.length === 1 || top.name !== name) {
+                throw new Error(`Unexpected </${name}> at offset ${lt}`);
+            }
+            stack.pop();
+            i = end;
+        } else {
+            // Find the closing '>' of the start tag, ignoring any inside quoted attribute values
+            let j = lt + 1;
+            let quote = null;
+            for (; j < len; j++) {
+                const c = xml[j];
+                if (quote) {
+                    if (c === quote) quote = null;
+                } else if (c === '"' || c === "'") {
+                    quote = c;
+                } else if (c === '>') {
+                    break;
+                }
+            }
+            if (j >= len) throw new Error(`Unterminated tag at offset ${lt}`);
+
+            let body = xml.slice(lt + 1, j);
+            const selfClosing = body.endsWith('/');
+            if (selfClosing) body = body.slice(0, -1);
+            const name = /^[^\s/>]+/.exec(body)?.[0];
+            if (!name) throw new Error(`Invalid tag at offset ${lt}`);
+
+            const node = { name, attributes: parseAttributes(body.slice(name.length)), children: [], text: '' };
+            top.children.push(node);
+            if (!selfClosing) stack.push(node);
+            i = j + 1;
+        }
+    }
+
+    if (stack.length > 1) throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+    if (!doc.children[0]) throw new Error('No root element');
+    return doc.children[0];
+}
+
+function localName(name) {
+    const colon = name.indexOf(':');
+    return colon === -1 ? name : name.slice(colon + 1);
+}
+
+/** Direct child elements, optionally filtered by (local) name. */
+function childElements(node, name) {
+    return name ? node.children.filter(c => localName(c.name) === name) : node.children;
+}
+
+function firstChild(node, name) {
+    return node.children.find(c => localName(c.name) === name) || null;
+}
+
+/** All descendant elements with the given (local) name, in document order. */
+function descendants(node, name, out = []) {
+    for (const c of node.children) {
+        if (localName(c.name) === name) out.push(c);
+        descendants(c, name, out);
+    }
+    return out;
+}
+
+/** Full text content of an element and its descendants. */
+function textContent(node) {
+    return node.text + node.children.map(textContent).join('');
+}
+
+/**
+ * Read a value stored either as an attribute or as a child element, the way
+ * PowerShell's XML adapter exposes both as `$node.Name`.
+ */
+function valueOf(node, name) {
+    if (node.attributes[name] !== undefined) return node.attributes[name];
+    const c = firstChild(node, name);
+    return c ? textContent(c).trim() : undefined;
+}
+
+module.exports = { parseXml, childElements, firstChild, descendants, textContent, valueOf };
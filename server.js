@@ -1,7 +1,19 @@
 const http = require('node:http');
 const fs = require('node:fs');
 const path = require('node:path');
-const { execSync } = require('node:child_process');
+const crypto = require('node:crypto');
+const { loadBuildLogs } = require('./lib/build-logs');
+const { loadTestResults } = require('./lib/test-results');
+const { validateReview, sanitizeReview, UNCATEGORIZED } = require('./lib/review-schema');
+const { reviewToSarif } = require('./lib/sarif');
+const { sarifFindings, bpFindings, mergeFindings } = require('./lib/findings-import');
+const { findObjectFiles, locateSnippet, applyFixToSource } = require('./lib/fix-engine');
+const { unifiedDiff } = require('./lib/unified-diff');
+const { parseIssueQuery, queryIssues } = require('./lib/issue-query');
+const { diffFilePaths, changedAotFiles, methodDiff } = require('./lib/aot-diff');
+const { objectSource } = require('./lib/aot-source');
+const git = require('./lib/git');
+const { diffCacheKey, getCachedDiff, findCachedDiffByRefs, putCachedDiff, importLegacyDiffCache } = require('./lib/diff-cache');
 
 const PORT = process.env.PORT || 3000;
 const DATA_DIR = __dirname;
@@ -44,7 +56,12 @@ function getProjectPaths(projectName) {
         dir,
         jsonPath: path.join(dir, 'code-review-result.json'),
         acceptedPath: path.join(dir, 'accepted-fixes.json'),
-        diffCachePath: path.join(dir, 'diff-cache.json'),
+        suppressionsPath: path.join(dir, 'suppressions.json'),
+        testResultsPath: path.join(dir, 'test-results.xml'),
+        diffCacheDir: path.join(dir, 'diff-cache'),
+        legacyDiffCachePath: path.join(dir, 'diff-cache.json'),
+        historyDir: path.join(dir, 'history'),
+        historyIndexPath: path.join(dir, 'history', 'index.json'),
     };
 }
 
@@ -54,16 +71,11 @@ function getActivePaths() {
 }
 
 /**
- * Compute git diff between parentBranch and branch.
- * Always computes fresh from git, then caches as fallback for when branches are deleted/merged.
- * Returns the unified diff string, empty string (no changes), or null (error).
+ * Locate the git repository the branch-diff review was made in: GIT_REPO_PATH,
+ * the active project's solutionPath, a .git root above sourceCodePath, or a
+ * common checkout location. Returns '' when none is found.
  */
-function computeGitDiff(reviewData, paths) {
-    if (!reviewData || reviewData.mode !== 'branch-diff') return null;
-    const { branch, parentBranch } = reviewData;
-    if (!branch || !parentBranch) return null;
-
-    // Determine repo path: env var, or try active project's solutionPath, sourceCodePath ancestors, or common locations
+function findRepoPath() {
     let repoPath = GIT_REPO_PATH;
     if (!repoPath) {
         const env = loadEnvJson();
@@ -90,64 +102,750 @@ function computeGitDiff(reviewData, paths) {
             if (fs.existsSync(path.join(c, '.git'))) { repoPath = c; break; }
         }
     }
+    return repoPath;
+}
+
+/**
+ * The refs a diff request compares: the `base` and `head` query parameters,
+ * defaulting to the review's parentBranch and branch. `isDefault` marks the
+ * review's own pair, the only one that may include the working tree.
+ * Throws on anything that is not a plain ref (see lib/git.js).
+ */
+function diffRefs(reviewData, params) {
+    const base = params.get('base') || reviewData.parentBranch;
+    const head = params.get('head') || reviewData.branch;
+    git.assertRef(base);
+    git.assertRef(head);
+    return { base, head, isDefault: base === reviewData.parentBranch && head === reviewData.branch };
+}
+
+/**
+ * Unified diff for a branch-diff review: parentBranch against the branch
+ * unless `refs` names others. The review's own pair includes uncommitted
+ * changes when the branch is checked out.
+ * Diffs are cached by the commits they compare (see lib/diff-cache.js); when
+ * git cannot resolve the refs (e.g. the branch was deleted after merging) the
+ * last diff computed for the same ref names is returned.
+ * Returns the unified diff string, empty string (no changes), or null (error).
+ */
+async function computeGitDiff(reviewData, paths, refs) {
+    if (!reviewData || reviewData.mode !== 'branch-diff') return null;
+    const { branch, parentBranch } = reviewData;
+    if (!branch || !parentBranch) return null;
+    const { base, head, isDefault } = refs || { base: parentBranch, head: branch, isDefault: true };
+    importLegacyDiffCache(paths.diffCacheDir, paths.legacyDiffCachePath);
 
-    // Try live git diff first (always fresh)
-    // Use parentBranch as base; if HEAD is on `branch`, diff against working tree
-    // so uncommitted changes are included.
+    const repoPath = findRepoPath();
     if (repoPath) {
         try {
-            // Check if we're currently on the target branch
-            const currentBranch = execSync('git branch --show-current', { cwd: repoPath, encoding: 'utf-8' }).trim();
-            let diff;
-            if (currentBranch === branch) {
-                // Diff base branch against working tree (includes uncommitted changes)
-                diff = execSync(
-                    `git diff ${parentBranch}`,
-                    { cwd: repoPath, encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024 }
-                );
-            } else {
-                // Not on target branch — diff committed snapshots only
-                diff = execSync(
-                    `git diff ${parentBranch}..${branch}`,
-                    { cwd: repoPath, encoding: 'utf-8', maxBuffer: 10 * 1024 * 1024 }
-                );
-            }
-            // Cache for fallback use (e.g., after branch deletion)
-            fs.writeFileSync(paths.diffCachePath, JSON.stringify({ branch, parentBranch, diff, cachedAt: new Date().toISOString() }), 'utf-8');
+            const [baseSha, headSha] = await Promise.all([git.revParse(repoPath, base), git.revParse(repoPath, head)]);
+            const workingTree = isDefault && (await git.currentBranch(repoPath)) === branch;
+            const state = workingTree ? await git.workingTreeState(repoPath) : '';
+            const key = diffCacheKey(baseSha, headSha, state);
+            const cached = getCachedDiff(paths.diffCacheDir, key);
+            if (cached !== null) return cached;
+
+            const diff = await git.diff(repoPath, base, workingTree ? null : head);
+            putCachedDiff(paths.diffCacheDir, key, { base, head, baseSha, headSha, workingTree: Boolean(state) }, diff);
             return diff;
         } catch (err) {
             console.error('Live git diff failed, trying cache:', err.message);
         }
     }
 
-    // Fallback: use cached diff if branches no longer exist
-    if (fs.existsSync(paths.diffCachePath)) {
-        try {
-            const cached = JSON.parse(fs.readFileSync(paths.diffCachePath, 'utf-8'));
-            if (cached.branch === branch && cached.parentBranch === parentBranch && typeof cached.diff === 'string') {
-                return cached.diff;
-            }
-        } catch { /* ignore corrupt cache */ }
+    return findCachedDiffByRefs(paths.diffCacheDir, base, head);
+}
+
+/**
+ * The review, refs, diff text and repository a /api/diff request works on,
+ * or { status, error } when there is nothing to diff.
+ */
+async function loadBranchDiff(paths, params) {
+    const review = loadReview(paths)?.review;
+    if (!review) return { status: 404, error: 'No review data found' };
+    if (review.mode !== 'branch-diff') return { status: 404, error: 'Diffs are only available for branch-diff reviews' };
+    let refs;
+    try {
+        refs = diffRefs(review, params);
+    } catch (err) {
+        return { status: 400, error: err.message };
     }
+    const diff = await computeGitDiff(review, paths, refs);
+    if (diff === null) {
+        return { status: 404, error: 'Diff not available. Set GIT_REPO_PATH env var or ensure the git repo is accessible.' };
+    }
+    return { review, refs, diff, repoPath: findRepoPath() };
+}
 
-    return null;
+/**
+ * One side of a changed file in a diff from computeGitDiff: 'base' is
+ * refs.base; 'head' is refs.head, or the working tree when the review's own
+ * pair is shown and `branch` is checked out. Returns '' when the file does
+ * not exist on that side. `filePath` must come from the diff itself.
+ */
+async function readDiffSide(repoPath, { branch }, refs, filePath, side) {
+    const show = (ref) => git.showFile(repoPath, ref, filePath).catch(() => '');
+    if (side === 'base') return show(refs.base);
+    if (!refs.isDefault) return show(refs.head);
+    if ((await git.currentBranch(repoPath)) !== branch) return show(branch);
+    const onDisk = path.join(repoPath, filePath);
+    return fs.existsSync(onDisk) ? fs.readFileSync(onDisk, 'utf-8') : '';
+}
+
+/**
+ * Read, validate and repair the project's review.
+ * Returns null when there is no review file. Otherwise returns
+ * { review, validation }, where `review` is null if the file is unusable
+ * (not JSON, or not an object) and is sanitized for the dashboard otherwise.
+ */
+function loadReview(paths) {
+    if (!fs.existsSync(paths.jsonPath)) return null;
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(paths.jsonPath, 'utf-8'));
+    } catch (err) {
+        return { review: null, validation: { valid: false, errors: [{ path: '', message: `Invalid JSON: ${err.message}` }] } };
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { review: null, validation: { valid: false, errors: [{ path: '', message: 'expected an object at the top level' }] } };
+    }
+    const review = normalizeReview(raw);
+    return { review: sanitizeReview(review), validation: validateReview(review) };
+}
+
+// ── Review history ───────────────────────────────────────────────────
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * Wrap a legacy single-file review into the multi-file format. Only a review
+ * without `files` is legacy; a `files` of the wrong type is left for
+ * validateReview to report.
+ */
+function normalizeReview(raw) {
+    if (!raw) return null;
+    if (raw.files !== undefined) return raw;
+    return {
+        date: raw.date,
+        summary: raw.summary,
+        mode: 'full',
+        files: [{
+            file: raw.file,
+            summary: raw.summary,
+            issues: raw.issues || [],
+            strengths: raw.strengths || [],
+            recommendations: raw.recommendations || [],
+        }],
+    };
+}
+
+/** Count issues per severity and per category across all files of a review. */
+function summarizeReview(review) {
+    const severity = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+    const category = {};
+    let totalIssues = 0;
+    for (const f of review.files) {
+        for (const issue of f.issues || []) {
+            totalIssues++;
+            if (severity[issue.severity] !== undefined) severity[issue.severity]++;
+            const cat = issue.category || UNCATEGORIZED;
+            category[cat] = (category[cat] || 0) + 1;
+        }
+    }
+    return { fileCount: review.files.length, totalIssues, severity, category };
+}
+
+function loadHistoryIndex(paths) {
+    if (!fs.existsSync(paths.historyIndexPath)) return { reviews: [] };
+    return JSON.parse(fs.readFileSync(paths.historyIndexPath, 'utf-8'));
+}
+
+function saveHistoryIndex(paths, index) {
+    fs.writeFileSync(paths.historyIndexPath, JSON.stringify(index, null, 2), 'utf-8');
 }
 
-function loadJson(paths) {
+/**
+ * Snapshot the current code-review-result.json into the project's history.
+ * Reviews are identified by content hash, so re-reading an unchanged file is a no-op.
+ * Returns the history entry for the current review, or null if there is none.
+ */
+function archiveReview(paths) {
     if (!fs.existsSync(paths.jsonPath)) return null;
     const raw = fs.readFileSync(paths.jsonPath, 'utf-8');
-    return JSON.parse(raw);
+    const hash = crypto.createHash('sha1').update(raw).digest('hex');
+    const index = loadHistoryIndex(paths);
+    const existing = index.reviews.find(r => r.hash === hash);
+    if (existing) return existing;
+
+    const review = sanitizeReview(normalizeReview(JSON.parse(raw)));
+    const reviewDate = new Date(review.date);
+    const date = isNaN(reviewDate) ? fs.statSync(paths.jsonPath).mtime.toISOString() : reviewDate.toISOString();
+    const id = `${date.replace(/[:.]/g, '-')}-${hash.slice(0, 8)}`;
+
+    fs.mkdirSync(paths.historyDir, { recursive: true });
+    fs.writeFileSync(path.join(paths.historyDir, `${id}.json`), raw, 'utf-8');
+
+    const entry = {
+        id,
+        hash,
+        date,
+        archivedAt: new Date().toISOString(),
+        mode: review.mode || 'full',
+        branch: review.branch,
+        parentBranch: review.parentBranch,
+        ...summarizeReview(review),
+    };
+    index.reviews.push(entry);
+    index.reviews.sort((a, b) => a.date.localeCompare(b.date));
+    saveHistoryIndex(paths, index);
+    return entry;
+}
+
+/** Archive without letting a malformed review JSON take the request down. */
+function tryArchiveReview(paths) {
+    try {
+        return archiveReview(paths);
+    } catch (err) {
+        console.error('Failed to archive review:', err.message);
+        return null;
+    }
+}
+
+function loadReviewSnapshot(paths, id) {
+    if (!/^[\w-]+$/.test(id)) return null;
+    const snapshotPath = path.join(paths.historyDir, `${id}.json`);
+    if (!fs.existsSync(snapshotPath)) return null;
+    return JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
 }
 
-function loadAcceptedFixes(paths) {
+// ── Issue fingerprints ───────────────────────────────────────────────
+
+/** Extract the method name from a location such as "Line 45 — validateWrite()". */
+function issueMethod(location) {
+    const match = /(\w+)\s*\(/.exec(location || '');
+    return match ? match[1].toLowerCase() : '';
+}
+
+/** Collapse whitespace and case so reformatting a snippet does not change its identity (X++ is case-insensitive). */
+function normalizeSnippet(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Stable identity of an issue, derived from file, category, method and the
+ * normalized code snippet. Titles and line numbers are deliberately left out
+ * so a reworded title or shifted line keeps the same fingerprint; the title is
+ * only used when the issue has no code snippet.
+ */
+function issueFingerprint(file, issue) {
+    const basis = [
+        file || '',
+        (issue.category || '').toLowerCase(),
+        issueMethod(issue.location),
+        normalizeSnippet(issue.code) || normalizeSnippet(issue.title),
+    ].join('\n');
+    return crypto.createHash('sha1').update(basis).digest('hex').slice(0, 16);
+}
+
+/**
+ * Set `fingerprint` on every issue of a normalized review. Repeats of the same
+ * fingerprint within one review get an ordinal suffix (-2, -3, ...) so each
+ * issue stays addressable.
+ */
+function addFingerprints(review) {
+    const seen = new Map();
+    for (const f of review.files) {
+        for (const issue of f.issues || []) {
+            const fp = issueFingerprint(f.file, issue);
+            const n = (seen.get(fp) || 0) + 1;
+            seen.set(fp, n);
+            issue.fingerprint = n === 1 ? fp : `${fp}-${n}`;
+        }
+    }
+    return review;
+}
+
+/**
+ * Diff two reviews issue-by-issue by fingerprint: issues only in head are new,
+ * issues only in base are resolved. Returns per-file buckets plus overall totals.
+ */
+function compareReviews(baseReview, headReview) {
+    const index = (review) => {
+        const map = new Map();
+        addFingerprints(review).files.forEach(f => (f.issues || []).forEach(issue => map.set(issue.fingerprint, { file: f.file, issue })));
+        return map;
+    };
+    const baseIssues = index(baseReview);
+    const headIssues = index(headReview);
+
+    const files = new Map();
+    const bucket = (file) => {
+        if (!files.has(file)) files.set(file, { file, new: [], resolved: [], persisting: [] });
+        return files.get(file);
+    };
+    // Register files in head order first, then files that only exist in base
+    headReview.files.forEach(f => bucket(f.file));
+    baseReview.files.forEach(f => bucket(f.file));
+
+    for (const [fp, item] of headIssues) {
+        bucket(item.file)[baseIssues.has(fp) ? 'persisting' : 'new'].push(item.issue);
+    }
+    for (const [fp, item] of baseIssues) {
+        if (!headIssues.has(fp)) bucket(item.file).resolved.push(item.issue);
+    }
+
+    const result = [...files.values()];
+    return {
+        totals: {
+            new: result.reduce((s, f) => s + f.new.length, 0),
+            resolved: result.reduce((s, f) => s + f.resolved.length, 0),
+            persisting: result.reduce((s, f) => s + f.persisting.length, 0),
+        },
+        files: result,
+    };
+}
+
+/**
+ * Read accepted-fixes.json. Like loadSuppressions, a corrupt file is logged
+ * and read as an empty queue; `strict` callers get the error instead.
+ */
+function loadAcceptedFixes(paths, { strict = false } = {}) {
     if (!fs.existsSync(paths.acceptedPath)) return { fixes: [] };
-    return JSON.parse(fs.readFileSync(paths.acceptedPath, 'utf-8'));
+    let accepted;
+    try {
+        accepted = JSON.parse(fs.readFileSync(paths.acceptedPath, 'utf-8'));
+        if (!Array.isArray(accepted?.fixes)) throw new Error('"fixes" is not an array');
+        if (accepted.fixes.some(f => !f || typeof f !== 'object')) throw new Error('"fixes" has an entry that is not an object');
+    } catch (err) {
+        if (strict) throw new Error(`accepted-fixes.json is unreadable: ${err.message}`);
+        console.error('Ignoring unreadable accepted-fixes.json:', err.message);
+        return { fixes: [] };
+    }
+    return migrateAcceptedFixes(paths, accepted);
+}
+
+/**
+ * Fixes accepted before fingerprints existed were keyed by title+location+file.
+ * Give them the fingerprint of the matching issue in the current review, or
+ * compute one from the fix itself when the issue is no longer there.
+ */
+function migrateAcceptedFixes(paths, accepted) {
+    const pending = accepted.fixes.filter(f => !f.fingerprint);
+    if (pending.length === 0) return accepted;
+
+    const byLegacyKey = new Map();
+    const review = loadReview(paths)?.review;
+    if (review) {
+        addFingerprints(review).files.forEach(f => (f.issues || []).forEach(issue => {
+            byLegacyKey.set(`${f.file || ''}|||${issue.title}|||${issue.location || ''}`, issue.fingerprint);
+        }));
+    }
+
+    for (const fix of pending) {
+        // Legacy single-file reviews stored fixes without a file name
+        if (!fix.file && review && review.files.length === 1) fix.file = review.files[0].file;
+        fix.fingerprint = byLegacyKey.get(`${fix.file || ''}|||${fix.title}|||${fix.location || ''}`)
+            || issueFingerprint(fix.file, fix);
+    }
+    saveAcceptedFixes(paths, accepted);
+    return accepted;
 }
 
 function saveAcceptedFixes(paths, data) {
     fs.writeFileSync(paths.acceptedPath, JSON.stringify(data, null, 2), 'utf-8');
 }
 
+/**
+ * Set applied/appliedAt on the accepted fixes identified by fingerprint (or,
+ * for legacy callers, by file+title+location). Returns how many were marked.
+ */
+function markFixesApplied(accepted, { fingerprints, titles }) {
+    const matches = [];
+    if (fingerprints && Array.isArray(fingerprints)) {
+        fingerprints.forEach(fp => matches.push(accepted.fixes.find(f => f.fingerprint === fp)));
+    }
+    if (titles && Array.isArray(titles)) {
+        titles.forEach(t => matches.push(
+            accepted.fixes.find(f => f.title === t.title && f.file === t.file && (f.location || '') === (t.location || ''))
+        ));
+    }
+    let marked = 0;
+    matches.forEach(fix => {
+        if (fix && !fix.applied) {
+            fix.applied = true;
+            fix.appliedAt = new Date().toISOString();
+            marked++;
+        }
+    });
+    return marked;
+}
+
+/**
+ * Duplicate detection shared by single and batch accept: gives the fix its
+ * fingerprint (computed here for callers without one) and returns the
+ * accepted entry with the same fingerprint, if any.
+ */
+function findAcceptedDuplicate(accepted, fix) {
+    if (!fix.fingerprint) fix.fingerprint = issueFingerprint(fix.file, fix);
+    return accepted.fixes.find(f => f.fingerprint === fix.fingerprint);
+}
+
+/**
+ * Pick the review issues a batch accept applies to. Every criterion is
+ * optional; dismissed issues and issues without a fixCode are counted but
+ * never selected.
+ */
+function selectBatchFixes(review, { files, severities, categories, fingerprints }) {
+    const selected = [];
+    let suppressed = 0, withoutFix = 0;
+    for (const f of review.files) {
+        if (Array.isArray(files) && !files.includes(f.file)) continue;
+        for (const issue of f.issues) {
+            if (Array.isArray(severities) && !severities.includes(issue.severity)) continue;
+            if (Array.isArray(categories) && !categories.includes(issue.category)) continue;
+            if (Array.isArray(fingerprints) && !fingerprints.includes(issue.fingerprint)) continue;
+            if (issue.suppressed) { suppressed++; continue; }
+            if (!issue.fixCode || !String(issue.fixCode).trim()) { withoutFix++; continue; }
+            selected.push({
+                fingerprint: issue.fingerprint,
+                file: f.file,
+                title: issue.title,
+                severity: issue.severity,
+                location: issue.location,
+                category: issue.category,
+                code: issue.code,
+                fixCode: issue.fixCode,
+                fixDescription: issue.fixDescription,
+            });
+        }
+    }
+    return { selected, suppressed, withoutFix };
+}
+
+// ── Fix application ──────────────────────────────────────────────────
+
+/**
+ * Work out the source edits for accepted fixes without writing anything.
+ * `fingerprints` selects fixes; when omitted, every unapplied fix is used.
+ * Fixes on the same object are applied in turn to the same content, so the
+ * combined result is what a real run would write.
+ * Returns { results: [{ fingerprint, file, title, status, reason?, path?, line? }],
+ * edits: Map(path → { before, after }), diff }.
+ */
+function planFixApplication(paths, fingerprints) {
+    const sourceCodePath = loadEnvJson().sourceCodePath;
+    if (!sourceCodePath) throw new Error('sourceCodePath is not configured — set it in .env.json or via PUT /api/source-code-path');
+
+    const accepted = loadAcceptedFixes(paths);
+    const selected = Array.isArray(fingerprints)
+        ? fingerprints.map(fp => accepted.fixes.find(f => f.fingerprint === fp) || { fingerprint: fp, missing: true })
+        : accepted.fixes.filter(f => !f.applied);
+
+    const results = [];
+    const edits = new Map();
+    for (const fix of selected) {
+        const result = { fingerprint: fix.fingerprint, file: fix.file, title: fix.title, status: 'skipped' };
+        results.push(result);
+        if (fix.missing) { result.reason = 'Not an accepted fix'; continue; }
+        if (fix.applied) { result.reason = 'Already applied'; continue; }
+
+        const candidates = findObjectFiles(sourceCodePath, fix.file);
+        if (candidates.length === 0) { result.reason = `No ${fix.file}.xml found under sourceCodePath`; continue; }
+        // The same name under the same AOT type in two models cannot be told apart
+        if (candidates.length > 1 && path.basename(path.dirname(candidates[0])) === path.basename(path.dirname(candidates[1]))) {
+            result.reason = `${fix.file}.xml exists in several models`;
+            continue;
+        }
+        const filePath = candidates[0];
+        result.path = path.relative(sourceCodePath, filePath).split(path.sep).join('/');
+
+        if (!edits.has(filePath)) {
+            const before = fs.readFileSync(filePath, 'utf-8');
+            edits.set(filePath, { before, after: before });
+        }
+        const edit = edits.get(filePath);
+        const applied = applyFixToSource(edit.after, { code: fix.code, fixCode: fix.fixCode, method: issueMethod(fix.location) });
+        if (applied.error) { result.reason = applied.error; continue; }
+        edit.after = applied.content;
+        result.status = 'ready';
+        result.line = applied.line;
+    }
+
+    const diff = [...edits.entries()]
+        .map(([filePath, e]) => unifiedDiff(e.before, e.after, path.relative(sourceCodePath, filePath).split(path.sep).join('/')))
+        .join('');
+    return { results, edits, diff };
+}
+
+// ── Blame ────────────────────────────────────────────────────────────
+
+// git blame results by repo path + file, valid while HEAD and the file's mtime are unchanged
+const blameCache = new Map();
+const BLAME_CACHE_SIZE = 200;
+
+// findObjectInRepo results by sourceCodePath + repo path + name, as findObjectFiles scans the
+// whole source tree synchronously. A found path is reused while it exists, a miss for a minute.
+const objectPathCache = new Map();
+const OBJECT_PATH_CACHE_SIZE = 1000;
+const OBJECT_MISS_TTL_MS = 60 * 1000;
+
+/**
+ * Repo-relative path of a review file's object XML: the match under
+ * sourceCodePath when that lies inside the repository, otherwise the first
+ * tracked <Name>.xml in an AOT type folder. Returns null when there is none.
+ */
+async function findObjectInRepo(repoPath, name) {
+    const key = `${loadEnvJson().sourceCodePath || ''}\0${repoPath}\0${name}`;
+    const hit = objectPathCache.get(key);
+    if (hit && (hit.path ? fs.existsSync(path.join(repoPath, hit.path)) : Date.now() - hit.at < OBJECT_MISS_TTL_MS)) {
+        return hit.path;
+    }
+    const found = await lookupObjectInRepo(repoPath, name);
+    objectPathCache.delete(key);
+    objectPathCache.set(key, { path: found, at: Date.now() });
+    if (objectPathCache.size > OBJECT_PATH_CACHE_SIZE) objectPathCache.delete(objectPathCache.keys().next().value);
+    return found;
+}
+
+async function lookupObjectInRepo(repoPath, name) {
+    for (const file of findObjectFiles(loadEnvJson().sourceCodePath, name)) {
+        const relative = path.relative(repoPath, file);
+        if (!relative.startsWith('..') && !path.isAbsolute(relative)) return relative.split(path.sep).join('/');
+    }
+    if (!/^[\w.-]+$/.test(name)) return null;
+    const tracked = await git.listFiles(repoPath, `**/Ax*/${name}.xml`);
+    return tracked[0] || null;
+}
+
+async function cachedBlame(repoPath, head, relativePath) {
+    const { mtimeMs } = fs.statSync(path.join(repoPath, relativePath));
+    const key = `${repoPath}\0${relativePath}`;
+    const hit = blameCache.get(key);
+    if (hit && hit.head === head && hit.mtimeMs === mtimeMs) return hit.blame;
+    const blame = await git.blame(repoPath, relativePath);
+    blameCache.delete(key);
+    blameCache.set(key, { head, mtimeMs, blame });
+    if (blameCache.size > BLAME_CACHE_SIZE) blameCache.delete(blameCache.keys().next().value);
+    return blame;
+}
+
+/**
+ * Who last changed an issue's code: the newest commit among the lines its
+ * snippet occupies in the object XML, falling back to the "Line N" of its
+ * location when the snippet cannot be found. Returns { line, endLine,
+ * matchedBy: 'code'|'line', commit, shortCommit, author, email, date,
+ * summary, uncommitted } or { error }.
+ */
+function blameIssue(xml, blame, issue) {
+    let range = locateSnippet(xml, { code: issue.code, method: issueMethod(issue.location) });
+    let matchedBy = 'code';
+    if (range.error) {
+        const line = Number(/\bLine\s+(\d+)/i.exec(issue.location || '')?.[1]);
+        if (!line || line > blame.lines.length) return { error: range.error };
+        range = { line, endLine: line };
+        matchedBy = 'line';
+    }
+    let newest = null;
+    for (let n = range.line; n <= range.endLine; n++) {
+        const sha = blame.lines[n - 1];
+        if (sha && (!newest || blame.commits[sha].date > blame.commits[newest].date)) newest = sha;
+    }
+    if (!newest) return { error: 'No blame information for these lines' };
+    return {
+        line: range.line,
+        endLine: range.endLine,
+        matchedBy,
+        commit: newest,
+        shortCommit: newest.slice(0, 7),
+        ...blame.commits[newest],
+        uncommitted: /^0+$/.test(newest),
+    };
+}
+
+/**
+ * Blame every issue of the given review files (fingerprinted).
+ * Returns { files: { <file>: { path } | { error } }, issues: { <fingerprint>: blameIssue(...) } }.
+ */
+async function blameReviewFiles(repoPath, files) {
+    const head = await git.revParse(repoPath, 'HEAD');
+    const result = { files: {}, issues: {} };
+    await Promise.all(files.map(async (f) => {
+        try {
+            const relativePath = await findObjectInRepo(repoPath, f.file);
+            if (!relativePath) {
+                result.files[f.file] = { error: `No ${f.file}.xml found in the repository` };
+                return;
+            }
+            const blame = await cachedBlame(repoPath, head, relativePath);
+            const xml = fs.readFileSync(path.join(repoPath, relativePath), 'utf-8');
+            result.files[f.file] = { path: relativePath };
+            for (const issue of f.issues) result.issues[issue.fingerprint] = blameIssue(xml, blame, issue);
+        } catch (err) {
+            result.files[f.file] = { error: err.message };
+        }
+    }));
+    return result;
+}
+
+const UNCOMMITTED_AUTHOR = 'Uncommitted changes';
+
+/**
+ * Who last changed each issue's code, by fingerprint, for filtering issues by
+ * author. Issues in uncommitted lines get UNCOMMITTED_AUTHOR; issues that
+ * cannot be blamed are left out.
+ */
+async function issueAuthors(repoPath, review) {
+    const blame = await blameReviewFiles(repoPath, review.files);
+    const authors = new Map();
+    for (const [fingerprint, b] of Object.entries(blame.issues)) {
+        if (!b.error) authors.set(fingerprint, b.uncommitted ? UNCOMMITTED_AUTHOR : b.author);
+    }
+    return authors;
+}
+
+// ── Suppressions ─────────────────────────────────────────────────────
+const SUPPRESSION_KINDS = ['false-positive', 'wont-fix'];
+
+/**
+ * Read suppressions.json. A corrupt file is logged and read as empty so the
+ * review still loads; callers that write pass `strict` to get the error
+ * instead, rather than overwriting the file.
+ */
+function loadSuppressions(paths, { strict = false } = {}) {
+    if (!fs.existsSync(paths.suppressionsPath)) return { suppressions: [] };
+    try {
+        const data = JSON.parse(fs.readFileSync(paths.suppressionsPath, 'utf-8'));
+        if (!Array.isArray(data?.suppressions)) throw new Error('"suppressions" is not an array');
+        return data;
+    } catch (err) {
+        if (strict) throw new Error(`suppressions.json is unreadable: ${err.message}`);
+        console.error('Ignoring unreadable suppressions.json:', err.message);
+        return { suppressions: [] };
+    }
+}
+
+function saveSuppressions(paths, data) {
+    fs.writeFileSync(paths.suppressionsPath, JSON.stringify(data, null, 2), 'utf-8');
+}
+
+function isSuppressionActive(suppression, now = Date.now()) {
+    return !suppression.expiresAt || new Date(suppression.expiresAt).getTime() > now;
+}
+
+/**
+ * Flag every issue covered by an active suppression with `suppressed`.
+ * Runs on each load, so a dismissal carries over to every later review that
+ * reports the same fingerprint.
+ */
+function applySuppressions(review, data) {
+    const active = new Map(data.suppressions.filter(s => isSuppressionActive(s)).map(s => [s.fingerprint, s]));
+    for (const f of review.files) {
+        for (const issue of f.issues || []) {
+            const s = active.get(issue.fingerprint);
+            if (s) issue.suppressed = { kind: s.kind, reason: s.reason, expiresAt: s.expiresAt, createdAt: s.createdAt };
+        }
+    }
+    return review;
+}
+
+// ── Live updates (Server-Sent Events) ─────────────────────────────────
+const sseClients = new Set();
+const pendingTopics = new Set();
+let flushTimer = null;
+let projectWatcher = null;
+let watchedDir = null;
+// A watcher that fails (directory removed or renamed, out of watch handles) is recreated after this delay
+const WATCH_RETRY_MS = 5000;
+
+/** Map a file in the project data directory to the dashboard data it feeds. */
+function changeTopic(fileName) {
+    if (fileName === 'code-review-result.json') return 'review';
+    if (fileName === 'accepted-fixes.json') return 'accepted-fixes';
+    if (fileName === 'suppressions.json') return 'suppressions';
+    if (fileName === 'test-results.xml') return 'tests';
+    if (/^(build|bp)-.+\.xml$/.test(fileName)) return 'builds';
+    return null;
+}
+
+/**
+ * Queue a change event for all connected dashboards. Agents and scripts write
+ * files in several steps, so bursts are coalesced into a single event.
+ */
+function broadcastChange(topic) {
+    pendingTopics.add(topic);
+    clearTimeout(flushTimer);
+    flushTimer = setTimeout(() => {
+        const topics = [...pendingTopics];
+        pendingTopics.clear();
+        let project = null;
+        try {
+            project = getActiveProject();
+            // Archive every review as it lands, not only when the dashboard asks for it
+            if (topics.includes('review')) tryArchiveReview(getActivePaths());
+        } catch (err) {
+            console.error('Failed to process change event:', err.message);
+        }
+        const payload = `event: change\ndata: ${JSON.stringify({ topics, project })}\n\n`;
+        sseClients.forEach(client => client.write(payload));
+    }, 300);
+}
+
+/** (Re)attach the file watcher to the active project's data directory. */
+function watchActiveProject() {
+    const dir = getActivePaths().dir;
+    if (dir === watchedDir) return;
+    if (projectWatcher) projectWatcher.close();
+    projectWatcher = null;
+    watchedDir = dir;
+    try {
+        const watcher = fs.watch(dir, (event, fileName) => {
+            const topic = fileName && changeTopic(fileName.toString());
+            if (topic) broadcastChange(topic);
+        });
+        watcher.on('error', (err) => {
+            console.error(`Stopped watching ${dir}:`, err.message);
+            watcher.close();
+            if (projectWatcher !== watcher) return;
+            projectWatcher = null;
+            watchedDir = null;
+            setTimeout(() => {
+                try {
+                    watchActiveProject();
+                } catch (retryErr) {
+                    console.error('Failed to re-watch active project:', retryErr.message);
+                }
+            }, WATCH_RETRY_MS).unref();
+        });
+        projectWatcher = watcher;
+    } catch (err) {
+        console.error(`Cannot watch ${dir}:`, err.message);
+    }
+}
+
+/** Watch DATA_DIR for project switches (.env.json), recreating the watcher when it fails. */
+function watchDataDir() {
+    let watcher;
+    try {
+        watcher = fs.watch(DATA_DIR, (event, fileName) => {
+            if (!fileName || fileName.toString() !== '.env.json') return;
+            try {
+                watchActiveProject();
+            } catch (err) {
+                console.error('Failed to re-watch active project:', err.message);
+            }
+            broadcastChange('project');
+        });
+    } catch (err) {
+        console.error(`Cannot watch ${DATA_DIR}:`, err.message);
+        setTimeout(watchDataDir, WATCH_RETRY_MS).unref();
+        return;
+    }
+    watcher.on('error', (err) => {
+        console.error(`Stopped watching ${DATA_DIR}:`, err.message);
+        watcher.close();
+        setTimeout(watchDataDir, WATCH_RETRY_MS).unref();
+    });
+}
+
 function readBody(req) {
     return new Promise((resolve, reject) => {
         let body = '';
@@ -326,66 +1024,134 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
-    // ── Review data APIs (project-scoped) ────────────────────────────
-    const activePaths = getActivePaths();
+    // ── Live updates ─────────────────────────────────────────────────
 
-    // API: return raw review JSON
-    if (url.pathname === '/api/review') {
-        const data = loadJson(activePaths);
-        res.writeHead(data ? 200 : 404, { 'Content-Type': 'application/json' });
-        res.end(data ? JSON.stringify(data, null, 2) : JSON.stringify({ error: 'No review data found' }));
+    // GET /api/events — SSE stream of { topics, project } change events
+    if (req.method === 'GET' && url.pathname === '/api/events') {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+        });
+        res.write(': connected\n\n');
+        sseClients.add(res);
+        req.on('close', () => sseClients.delete(res));
         return;
     }
 
-    // API: return git diff for branch-diff reviews
-    if (url.pathname === '/api/diff') {
-        const data = loadJson(activePaths);
-        if (!data) {
+    // ── Review data APIs (project-scoped) ────────────────────────────
+    const activePaths = getActivePaths();
+
+    // API: return review JSON (multi-file format, repaired, with fingerprints and suppressions)
+    if (url.pathname === '/api/review') {
+        tryArchiveReview(activePaths);
+        const loaded = loadReview(activePaths);
+        if (!loaded) {
             res.writeHead(404, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ error: 'No review data found' }));
             return;
         }
-        const diff = computeGitDiff(data, activePaths);
-        if (diff === null) {
-            res.writeHead(404, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Diff not available. Set GIT_REPO_PATH env var or ensure the git repo is accessible.' }));
+        if (!loaded.review) {
+            res.writeHead(422, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'code-review-result.json is invalid', validation: loaded.validation }));
             return;
         }
+        const data = applySuppressions(addFingerprints(loaded.review), loadSuppressions(activePaths));
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-            branch: data.branch,
-            parentBranch: data.parentBranch,
-            diff,
-        }));
+        res.end(JSON.stringify(data, null, 2));
         return;
     }
 
-    // API: get accepted fixes
-    if (req.method === 'GET' && url.pathname === '/api/accepted-fixes') {
-        const accepted = loadAcceptedFixes(activePaths);
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(accepted, null, 2));
+    // API: download the review in another format — GET /api/review/export?format=sarif
+    if (req.method === 'GET' && url.pathname === '/api/review/export') {
+        const format = url.searchParams.get('format') || 'sarif';
+        if (format !== 'sarif') {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Unsupported export format "${format}" (supported: sarif)` }));
+            return;
+        }
+        const review = loadReview(activePaths)?.review;
+        if (!review) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'No readable review data found' }));
+            return;
+        }
+        const sarif = reviewToSarif(applySuppressions(addFingerprints(review), loadSuppressions(activePaths)));
+        const fileName = `code-review-${getActiveProject() || 'result'}.sarif`.replace(/[^\w.-]/g, '_');
+        res.writeHead(200, {
+            'Content-Type': 'application/sarif+json',
+            'Content-Disposition': `attachment; filename="${fileName}"`,
+        });
+        res.end(JSON.stringify(sarif, null, 2));
         return;
     }
 
-    // API: accept a single fix
-    if (req.method === 'POST' && url.pathname === '/api/accept-fix') {
+    // POST /api/review/import — merge findings from another analyzer into the review JSON
+    // Body: { format: "sarif" | "bp", content?, model?, source? }. For "bp", omitting
+    // content imports the project's existing bp-<model>.xml.
+    if (req.method === 'POST' && url.pathname === '/api/review/import') {
         try {
             const body = await readBody(req);
-            const fix = JSON.parse(body);
-            const accepted = loadAcceptedFixes(activePaths);
+            const { format, content, model, source } = JSON.parse(body);
+            if (format !== 'sarif' && format !== 'bp') {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'format must be "sarif" or "bp"' }));
+                return;
+            }
+            if (model && !/^[\w.-]+$/.test(model)) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'Invalid model name' }));
+                return;
+            }
 
-            // Avoid duplicates by title+location+file
-            const exists = accepted.fixes.some(f => f.title === fix.title && f.location === fix.location && f.file === fix.file);
-            if (!exists) {
-                fix.acceptedAt = new Date().toISOString();
-                fix.applied = false;
-                accepted.fixes.push(fix);
-                saveAcceptedFixes(activePaths, accepted);
+            let text = content;
+            if (!text && format === 'bp' && model) {
+                const logPath = path.join(activePaths.dir, `bp-${model}.xml`);
+                if (!fs.existsSync(logPath)) {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: `bp-${model}.xml not found` }));
+                    return;
+                }
+                text = fs.readFileSync(logPath, 'utf-8');
+            }
+            if (!text) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: format === 'bp' ? 'content or model is required' : 'content is required' }));
+                return;
+            }
+
+            let findings, defaultSource;
+            if (format === 'sarif') {
+                const parsed = sarifFindings(text);
+                findings = parsed.findings;
+                defaultSource = `sarif:${parsed.tool}`;
+            } else {
+                findings = bpFindings(text);
+                defaultSource = `bp:${model || 'import'}`;
+            }
+
+            // Merge into the file as written (not the sanitized view) so nothing else changes
+            const loaded = loadReview(activePaths);
+            if (loaded && !loaded.review) {
+                res.writeHead(422, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'code-review-result.json is invalid — fix it before importing', validation: loaded.validation }));
+                return;
+            }
+            let review = { date: new Date().toISOString(), summary: 'Imported findings', mode: 'full', files: [] };
+            let indent = 4;
+            let newline = '';
+            if (loaded) {
+                const text = fs.readFileSync(activePaths.jsonPath, 'utf-8');
+                // Only a legacy single-file review has to be converted, as its findings may name other files
+                review = normalizeReview(JSON.parse(text));
+                indent = /^[ \t]+(?=")/m.exec(text)?.[0] ?? indent;
+                newline = /\r?\n$/.exec(text)?.[0] ?? '';
             }
+            const result = mergeFindings(review, findings, source || defaultSource);
+            fs.writeFileSync(activePaths.jsonPath, JSON.stringify(review, null, indent) + newline, 'utf-8');
 
             res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ ok: true, total: accepted.fixes.length }));
+            res.end(JSON.stringify({ ok: true, source: source || defaultSource, ...result }));
         } catch (err) {
             res.writeHead(400, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ error: err.message }));
@@ -393,23 +1159,448 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
-    // API: mark fixes as applied
-    if (req.method === 'PATCH' && url.pathname === '/api/accepted-fixes/mark-applied') {
-        try {
+    // API: schema problems in the review JSON, as { valid, errors: [{ path, message, file?, issue? }] }
+    if (req.method === 'GET' && url.pathname === '/api/review/validate') {
+        const loaded = loadReview(activePaths);
+        res.writeHead(loaded ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(loaded ? JSON.stringify(loaded.validation, null, 2) : JSON.stringify({ error: 'No review data found' }));
+        return;
+    }
+
+    // API: one page of review issues with aggregate counts
+    // GET /api/issues?sev=critical,high&cat=&file=&q=&state=open|accepted|applied&dismissed=1&author=&authors=1&sort=severity&order=asc&offset=0&limit=50
+    if (req.method === 'GET' && url.pathname === '/api/issues') {
+        let query;
+        try {
+            query = parseIssueQuery(url.searchParams);
+        } catch (err) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+            return;
+        }
+        const loaded = loadReview(activePaths);
+        if (!loaded?.review) {
+            res.writeHead(loaded ? 422 : 404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: loaded ? 'code-review-result.json is invalid' : 'No review data found' }));
+            return;
+        }
+        const review = applySuppressions(addFingerprints(loaded.review), loadSuppressions(activePaths));
+        // An unreadable accepted-fixes.json reads as an empty queue: every issue is open, but the list still loads
+        const fixStates = new Map(loadAcceptedFixes(activePaths).fixes.map(f => [f.fingerprint, f.applied ? 'applied' : 'accepted']));
+        // Counting by author is left out when blame is unavailable; filtering by it fails
+        let authors = null;
+        const repoPath = query.authors && findRepoPath();
+        if (query.author && !repoPath) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Filtering by author needs access to the git repository' }));
+            return;
+        }
+        if (repoPath) {
+            try {
+                authors = await issueAuthors(repoPath, review);
+            } catch (err) {
+                if (query.author) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: err.message }));
+                    return;
+                }
+            }
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(queryIssues(review, fixStates, query, authors)));
+        return;
+    }
+
+    // API: who last changed each issue's code, from git blame of the object XML in the repository
+    // GET /api/blame?file=<review file> (default every file) → { files: { <file>: { path } | { error } }, issues: { <fingerprint>: {...} } }
+    if (req.method === 'GET' && url.pathname === '/api/blame') {
+        const loaded = loadReview(activePaths);
+        const repoPath = findRepoPath();
+        if (!loaded?.review || !repoPath) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: loaded?.review ? 'Blame needs access to the git repository' : 'No review data found' }));
+            return;
+        }
+        const file = url.searchParams.get('file');
+        const files = addFingerprints(loaded.review).files.filter(f => !file || f.file === file);
+        if (file && files.length === 0) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `${file} is not in the review` }));
+            return;
+        }
+        try {
+            const blame = await blameReviewFiles(repoPath, files);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(blame));
+        } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+    }
+
+    // API: X++ source of a review file's object XML under sourceCodePath, split into methods
+    // GET /api/source?file=<review file> → { file, path, type, methods: [{ name, startLine, lines }], issues: { <fingerprint>: { method, line, endLine } | { error } } }
+    if (req.method === 'GET' && url.pathname === '/api/source') {
+        const file = url.searchParams.get('file') || '';
+        const loaded = loadReview(activePaths);
+        const reviewFile = loaded?.review && addFingerprints(loaded.review).files.find(f => f.file === file);
+        if (!reviewFile) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: loaded?.review ? `${file} is not in the review` : 'No review data found' }));
+            return;
+        }
+        const sourceCodePath = loadEnvJson().sourceCodePath;
+        const [filePath] = findObjectFiles(sourceCodePath, file);
+        if (!filePath) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                error: sourceCodePath
+                    ? `No ${file}.xml found under sourceCodePath`
+                    : 'sourceCodePath is not configured — set it in .env.json or via PUT /api/source-code-path',
+            }));
+            return;
+        }
+        try {
+            const xml = fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, '');
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                file,
+                path: path.relative(sourceCodePath, filePath).split(path.sep).join('/'),
+                type: path.basename(path.dirname(filePath)),
+                ...objectSource(xml, reviewFile.issues, issueMethod),
+            }));
+        } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+    }
+
+    // API: list archived reviews (oldest first) with severity/category counts
+    if (req.method === 'GET' && url.pathname === '/api/reviews') {
+        tryArchiveReview(activePaths);
+        try {
+            const index = loadHistoryIndex(activePaths);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(index, null, 2));
+        } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Cannot read review history: ${err.message}` }));
+        }
+        return;
+    }
+
+    // API: compare two archived reviews ?base=<id>&head=<id>
+    // head defaults to the current review, base to the run archived before head
+    if (req.method === 'GET' && url.pathname === '/api/reviews/compare') {
+        const current = tryArchiveReview(activePaths);
+        let index, baseSnapshot, headSnapshot;
+        try {
+            index = loadHistoryIndex(activePaths);
+        } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Cannot read review history: ${err.message}` }));
+            return;
+        }
+        const headId = url.searchParams.get('head') || (current && current.id);
+        const headPos = index.reviews.findIndex(r => r.id === headId);
+        const baseId = url.searchParams.get('base') || (headPos > 0 ? index.reviews[headPos - 1].id : null);
+        const baseEntry = index.reviews.find(r => r.id === baseId);
+        const headEntry = index.reviews[headPos];
+        try {
+            baseSnapshot = baseEntry && loadReviewSnapshot(activePaths, baseEntry.id);
+            headSnapshot = headEntry && loadReviewSnapshot(activePaths, headEntry.id);
+        } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Cannot read archived review: ${err.message}` }));
+            return;
+        }
+        const baseReview = baseSnapshot && sanitizeReview(normalizeReview(baseSnapshot));
+        const headReview = headSnapshot && sanitizeReview(normalizeReview(headSnapshot));
+        if (!baseReview || !headReview) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Two archived reviews are required for a comparison' }));
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ base: baseEntry, head: headEntry, ...compareReviews(baseReview, headReview) }, null, 2));
+        return;
+    }
+
+    // API: return a single archived review by id
+    if (req.method === 'GET' && url.pathname.startsWith('/api/reviews/')) {
+        let id;
+        try {
+            id = decodeURIComponent(url.pathname.slice('/api/reviews/'.length));
+        } catch (err) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+            return;
+        }
+        try {
+            const snapshot = loadReviewSnapshot(activePaths, id);
+            res.writeHead(snapshot ? 200 : 404, { 'Content-Type': 'application/json' });
+            res.end(snapshot ? JSON.stringify(snapshot, null, 2) : JSON.stringify({ error: `Review "${id}" not found` }));
+        } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Cannot read review "${id}": ${err.message}` }));
+        }
+        return;
+    }
+
+    // API: per-method changes of every AOT object XML in the branch diff
+    // { files: { "<path>": { methods: [{ name, status, diff, addCount, removeCount }], unchanged, otherChanges } } }
+    if (req.method === 'GET' && url.pathname === '/api/diff/methods') {
+        const loaded = await loadBranchDiff(activePaths, url.searchParams);
+        if (loaded.error || !loaded.repoPath) {
+            res.writeHead(loaded.status || 404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: loaded.error || 'Method summary needs access to the git repository' }));
+            return;
+        }
+        const { review, refs, diff, repoPath } = loaded;
+        try {
+            const files = Object.fromEntries(await Promise.all(changedAotFiles(diff).map(async (file) => {
+                const [base, head] = await Promise.all(['base', 'head'].map(side => readDiffSide(repoPath, review, refs, file, side)));
+                return [file, methodDiff(base, head)];
+            })));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ files }));
+        } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+    }
+
+    // API: lines of a changed file for expanding diff context
+    // GET /api/diff/file?path=<path in the diff>&side=base|head&start=1&end=40 → { path, side, start, end, totalLines, lines }
+    if (req.method === 'GET' && url.pathname === '/api/diff/file') {
+        const filePath = url.searchParams.get('path') || '';
+        const side = url.searchParams.get('side') || 'head';
+        if (side !== 'base' && side !== 'head') {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'side must be "base" or "head"' }));
+            return;
+        }
+        const loaded = await loadBranchDiff(activePaths, url.searchParams);
+        if (loaded.error || !loaded.repoPath) {
+            res.writeHead(loaded.status || 404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: loaded.error || 'File content needs access to the git repository' }));
+            return;
+        }
+        const { review, refs, diff, repoPath } = loaded;
+        // Only files in the diff can be read, so the endpoint cannot be pointed elsewhere in the repo
+        if (!diffFilePaths(diff).includes(filePath)) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `"${filePath}" is not part of the diff` }));
+            return;
+        }
+        try {
+            const lines = (await readDiffSide(repoPath, review, refs, filePath, side)).replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').split('\n');
+            if (lines[lines.length - 1] === '') lines.pop();
+            const start = Math.max(1, parseInt(url.searchParams.get('start'), 10) || 1);
+            const end = Math.min(lines.length, parseInt(url.searchParams.get('end'), 10) || lines.length);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ path: filePath, side, start, end, totalLines: lines.length, lines: lines.slice(start - 1, end) }));
+        } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+    }
+
+    // API: return git diff for branch-diff reviews
+    // ?base=&head= pick other refs (a commit, a range start..end as base=start^&head=end); default parentBranch..branch
+    if (url.pathname === '/api/diff') {
+        const loaded = await loadBranchDiff(activePaths, url.searchParams);
+        if (loaded.error) {
+            res.writeHead(loaded.status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: loaded.error }));
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            branch: loaded.review.branch,
+            parentBranch: loaded.review.parentBranch,
+            base: loaded.refs.base,
+            head: loaded.refs.head,
+            diff: loaded.diff,
+        }));
+        return;
+    }
+
+    // API: commits between two refs, newest first (default parentBranch..branch)
+    // GET /api/commits?base=&head= → { base, head, commits: [{ sha, shortSha, author, date, subject }] }
+    if (req.method === 'GET' && url.pathname === '/api/commits') {
+        const review = loadReview(activePaths)?.review;
+        const repoPath = findRepoPath();
+        if (!review || review.mode !== 'branch-diff' || !repoPath) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Commits need a branch-diff review and access to its git repository' }));
+            return;
+        }
+        let refs;
+        try {
+            refs = diffRefs(review, url.searchParams);
+        } catch (err) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+            return;
+        }
+        try {
+            const commits = await git.log(repoPath, refs.base, refs.head);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ base: refs.base, head: refs.head, commits }));
+        } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+    }
+
+    // API: compiler and best-practice diagnostics from build-<model>.xml / bp-<model>.xml
+    if (req.method === 'GET' && url.pathname === '/api/builds') {
+        const builds = loadBuildLogs(activePaths.dir);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(builds, null, 2));
+        return;
+    }
+
+    // API: SysTest results from test-results.xml
+    if (req.method === 'GET' && url.pathname === '/api/tests') {
+        try {
+            const results = loadTestResults(activePaths.testResultsPath);
+            res.writeHead(results ? 200 : 404, { 'Content-Type': 'application/json' });
+            res.end(results ? JSON.stringify(results, null, 2) : JSON.stringify({ error: 'No test results found' }));
+        } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Failed to parse test-results.xml: ${err.message}` }));
+        }
+        return;
+    }
+
+    // The accepted-fix routes answer 500 rather than read a corrupt queue as empty and save over it;
+    // clearing the queue is still allowed, as the way out
+    const clearsAcceptedFixes = req.method === 'DELETE' && url.pathname === '/api/accepted-fixes';
+    if (/^\/api\/accept(?:-fix|ed-fixes)(?:\/|$)/.test(url.pathname) && !clearsAcceptedFixes) {
+        try {
+            loadAcceptedFixes(activePaths, { strict: true });
+        } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+            return;
+        }
+    }
+
+    // API: get accepted fixes
+    if (req.method === 'GET' && url.pathname === '/api/accepted-fixes') {
+        const accepted = loadAcceptedFixes(activePaths);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(accepted, null, 2));
+        return;
+    }
+
+    // API: accept a single fix
+    if (req.method === 'POST' && url.pathname === '/api/accept-fix') {
+        try {
             const body = await readBody(req);
-            const { titles } = JSON.parse(body);
+            const fix = JSON.parse(body);
             const accepted = loadAcceptedFixes(activePaths);
-            let marked = 0;
-            if (titles && Array.isArray(titles)) {
-                titles.forEach(t => {
-                    const fix = accepted.fixes.find(f => f.title === t.title && f.file === t.file && (f.location || '') === (t.location || ''));
-                    if (fix && !fix.applied) {
-                        fix.applied = true;
-                        fix.appliedAt = new Date().toISOString();
-                        marked++;
-                    }
-                });
+
+            // Avoid duplicates by fingerprint
+            const existing = findAcceptedDuplicate(accepted, fix);
+            // A hand-edited fix keeps the reviewer's suggestion in originalFixCode
+            const edited = typeof fix.originalFixCode === 'string' && fix.originalFixCode !== fix.fixCode;
+            let saved = existing;
+            if (!existing) {
+                if (edited) fix.edited = true;
+                else delete fix.originalFixCode;
+                fix.acceptedAt = new Date().toISOString();
+                fix.applied = false;
+                accepted.fixes.push(fix);
+                saved = fix;
+                saveAcceptedFixes(activePaths, accepted);
+            } else if (!existing.applied && existing.fixCode !== fix.fixCode) {
+                // Re-accepting with different code updates the pending fix
+                const original = existing.originalFixCode ?? fix.originalFixCode ?? existing.fixCode;
+                existing.fixCode = fix.fixCode;
+                if (original !== fix.fixCode) {
+                    existing.originalFixCode = original;
+                    existing.edited = true;
+                } else {
+                    delete existing.originalFixCode;
+                    delete existing.edited;
+                }
+                saveAcceptedFixes(activePaths, accepted);
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true, total: accepted.fixes.length, fix: saved }));
+        } catch (err) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+    }
+
+    // API: accept many fixes at once, selected from the current review
+    // Body: { files?, severities?, categories?, fingerprints?, dryRun? } — omitted criteria match everything.
+    // Already-accepted fixes are left untouched, so hand edits survive a bulk accept.
+    if (req.method === 'POST' && url.pathname === '/api/accept-fix/batch') {
+        try {
+            const body = await readBody(req);
+            const { dryRun, ...criteria } = body ? JSON.parse(body) : {};
+            const loaded = loadReview(activePaths);
+            if (!loaded?.review) {
+                res.writeHead(loaded ? 422 : 404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: loaded ? 'code-review-result.json is invalid' : 'No review data found' }));
+                return;
+            }
+            const review = applySuppressions(addFingerprints(loaded.review), loadSuppressions(activePaths));
+            const { selected, suppressed, withoutFix } = selectBatchFixes(review, criteria);
+
+            const accepted = loadAcceptedFixes(activePaths);
+            const added = [];
+            let alreadyAccepted = 0;
+            for (const fix of selected) {
+                if (findAcceptedDuplicate(accepted, fix) || added.some(f => f.fingerprint === fix.fingerprint)) {
+                    alreadyAccepted++;
+                    continue;
+                }
+                added.push({ ...fix, acceptedAt: new Date().toISOString(), applied: false });
             }
+            if (!dryRun && added.length > 0) {
+                accepted.fixes.push(...added);
+                saveAcceptedFixes(activePaths, accepted);
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                ok: true,
+                dryRun: Boolean(dryRun),
+                matched: selected.length + suppressed + withoutFix,
+                added: added.length,
+                alreadyAccepted,
+                suppressed,
+                withoutFix,
+                fixes: added,
+                total: accepted.fixes.length,
+            }));
+        } catch (err) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+    }
+
+    // API: mark fixes as applied { "fingerprints": [...] } (legacy: { "titles": [{ file, title, location }] })
+    if (req.method === 'PATCH' && url.pathname === '/api/accepted-fixes/mark-applied') {
+        try {
+            const body = await readBody(req);
+            const { fingerprints, titles } = JSON.parse(body);
+            const accepted = loadAcceptedFixes(activePaths);
+            const marked = markFixesApplied(accepted, { fingerprints, titles });
             saveAcceptedFixes(activePaths, accepted);
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ ok: true, marked }));
@@ -420,6 +1611,34 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
+    // POST /api/accepted-fixes/preview — dry run: the unified diff applying fixes would produce
+    // POST /api/accepted-fixes/apply — write the edits to source and mark those fixes applied
+    // Body: { fingerprints?: [...] } (default: every unapplied fix)
+    if (req.method === 'POST' && (url.pathname === '/api/accepted-fixes/preview' || url.pathname === '/api/accepted-fixes/apply')) {
+        try {
+            const body = await readBody(req);
+            const { fingerprints } = body ? JSON.parse(body) : {};
+            const { results, edits, diff } = planFixApplication(activePaths, fingerprints);
+            let marked = 0;
+            if (url.pathname.endsWith('/apply')) {
+                for (const [filePath, e] of edits) {
+                    if (e.after !== e.before) fs.writeFileSync(filePath, e.after, 'utf-8');
+                }
+                const ready = results.filter(r => r.status === 'ready');
+                ready.forEach(r => { r.status = 'applied'; });
+                const accepted = loadAcceptedFixes(activePaths);
+                marked = markFixesApplied(accepted, { fingerprints: ready.map(r => r.fingerprint) });
+                saveAcceptedFixes(activePaths, accepted);
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true, results, diff, marked }));
+        } catch (err) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+    }
+
     // API: clean up applied fixes (remove all where applied === true)
     if (req.method === 'DELETE' && url.pathname === '/api/accepted-fixes/applied') {
         const accepted = loadAcceptedFixes(activePaths);
@@ -431,6 +1650,61 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
+    // PUT /api/accepted-fixes/order — set the queue order the applier works through
+    // Body: { fingerprints: [...] }; fixes not listed keep their relative order after the listed ones
+    if (req.method === 'PUT' && url.pathname === '/api/accepted-fixes/order') {
+        try {
+            const body = await readBody(req);
+            const { fingerprints } = JSON.parse(body);
+            if (!Array.isArray(fingerprints)) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'fingerprints array is required' }));
+                return;
+            }
+            const accepted = loadAcceptedFixes(activePaths);
+            const position = new Map(fingerprints.map((fp, i) => [fp, i]));
+            const rank = (f) => (position.has(f.fingerprint) ? position.get(f.fingerprint) : fingerprints.length);
+            // Array.prototype.sort is stable, so unlisted fixes stay in their current order
+            accepted.fixes.sort((a, b) => rank(a) - rank(b));
+            saveAcceptedFixes(activePaths, accepted);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true, order: accepted.fixes.map(f => f.fingerprint) }));
+        } catch (err) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+    }
+
+    // POST /api/accepted-fixes/:fingerprint/unaccept — withdraw a fix that has not been applied yet
+    // DELETE /api/accepted-fixes/:fingerprint — remove a fix from the queue whatever its status
+    const singleFix = /^\/api\/accepted-fixes\/([^/]+)(\/unaccept)?$/.exec(url.pathname);
+    if (singleFix && ((req.method === 'POST' && singleFix[2]) || (req.method === 'DELETE' && !singleFix[2]))) {
+        try {
+            const fingerprint = decodeURIComponent(singleFix[1]);
+            const accepted = loadAcceptedFixes(activePaths);
+            const fix = accepted.fixes.find(f => f.fingerprint === fingerprint);
+            if (!fix) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: `No accepted fix "${fingerprint}"` }));
+                return;
+            }
+            if (singleFix[2] && fix.applied) {
+                res.writeHead(409, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'Fix is already applied to source — delete it from the queue instead' }));
+                return;
+            }
+            accepted.fixes = accepted.fixes.filter(f => f !== fix);
+            saveAcceptedFixes(activePaths, accepted);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true, remaining: accepted.fixes.length }));
+        } catch (err) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+    }
+
     // API: clear accepted fixes
     if (req.method === 'DELETE' && url.pathname === '/api/accepted-fixes') {
         saveAcceptedFixes(activePaths, { fixes: [] });
@@ -439,6 +1713,94 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
+    // API: list suppressions (expired ones included, flagged inactive)
+    if (req.method === 'GET' && url.pathname === '/api/suppressions') {
+        try {
+            const data = loadSuppressions(activePaths, { strict: true });
+            const suppressions = data.suppressions.map(s => ({ ...s, active: isSuppressionActive(s) }));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ suppressions }, null, 2));
+        } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+    }
+
+    // API: suppress an issue { fingerprint, file, title, kind, reason, expiresAt? }
+    if (req.method === 'POST' && url.pathname === '/api/suppressions') {
+        let data;
+        try {
+            data = loadSuppressions(activePaths, { strict: true });
+        } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+            return;
+        }
+        try {
+            const body = await readBody(req);
+            const { fingerprint, file, title, kind, reason, expiresAt } = JSON.parse(body);
+            if (!fingerprint || !SUPPRESSION_KINDS.includes(kind)) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: `fingerprint and kind (${SUPPRESSION_KINDS.join(', ')}) are required` }));
+                return;
+            }
+            if (expiresAt && isNaN(new Date(expiresAt))) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'expiresAt must be an ISO date' }));
+                return;
+            }
+            const suppression = {
+                fingerprint,
+                file,
+                title,
+                kind,
+                reason: reason || '',
+                expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+                createdAt: new Date().toISOString(),
+            };
+            // Re-dismissing an issue replaces its previous suppression
+            data.suppressions = data.suppressions.filter(s => s.fingerprint !== fingerprint);
+            data.suppressions.push(suppression);
+            saveSuppressions(activePaths, data);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true, suppression }));
+        } catch (err) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+        }
+        return;
+    }
+
+    // API: lift a suppression by fingerprint
+    if (req.method === 'DELETE' && url.pathname.startsWith('/api/suppressions/')) {
+        let fingerprint, data;
+        try {
+            fingerprint = decodeURIComponent(url.pathname.slice('/api/suppressions/'.length));
+        } catch (err) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+            return;
+        }
+        try {
+            data = loadSuppressions(activePaths, { strict: true });
+        } catch (err) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+            return;
+        }
+        const remaining = data.suppressions.filter(s => s.fingerprint !== fingerprint);
+        if (remaining.length === data.suppressions.length) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `No suppression for "${fingerprint}"` }));
+            return;
+        }
+        saveSuppressions(activePaths, { suppressions: remaining });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+        return;
+    }
+
     // Dashboard — serve React build
     // Try static files from frontend/dist first, then fall back to index.html (SPA)
     if (url.pathname === '/' || url.pathname === '/dashboard') {
@@ -462,9 +1824,17 @@ const server = http.createServer(async (req, res) => {
     res.end('Not found');
 });
 
+// Follow project switches made by agents or the API, and re-target the data watcher
+watchDataDir();
+
+// Keep idle SSE connections open through proxies
+setInterval(() => sseClients.forEach(client => client.write(': ping\n\n')), 25000).unref();
+
 server.listen(PORT, () => {
     const active = getActiveProject();
     const activePaths = getActivePaths();
+    tryArchiveReview(activePaths);
+    watchActiveProject();
     console.log(`\n  X++ Code Review Dashboard`);
     console.log(`  ────────────────────────────`);
     console.log(`  Dashboard : http://localhost:${PORT}`);
@@ -472,5 +1842,6 @@ server.listen(PORT, () => {
     console.log(`  Projects  : http://localhost:${PORT}/api/projects`);
     console.log(`  Active    : ${active || '(none)'}`);
     console.log(`  Data dir  : ${activePaths.dir}`);
-    console.log(`\n  Refresh the browser to pick up new review data.\n`);
+    console.log(`  Events    : http://localhost:${PORT}/api/events`);
+    console.log(`\n  The dashboard updates live when project data changes.\n`);
 });